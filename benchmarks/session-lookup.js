@@ -0,0 +1,105 @@
+/**
+ * @file benchmarks/session-lookup.js
+ *
+ * Compares the latency of looking up a login the old way, checking the
+ * bcrypt hash of every nonce in 'loginNonces', against looking up a session
+ * by its ID and checking a single keyed hash. No database connection is
+ * needed.
+ *
+ * Usage: npm run bench
+ */
+
+// Provide the environment variables needed to load our models.
+process.env.NODE_ENV = process.env.NODE_ENV || 'benchmark';
+process.env.DATABASE_URI = process.env.DATABASE_URI || 'mongodb://localhost';
+process.env.EMAIL_TRANSPORT_METHOD =
+  process.env.EMAIL_TRANSPORT_METHOD || 'local';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'benchmark';
+process.env.USING_EXTERNAL_FRONTEND =
+  process.env.USING_EXTERNAL_FRONTEND || 'false';
+
+// Imports
+require('../src/lib/env');
+const bcryptjs = require('bcryptjs');
+const csprng = require('csprng');
+const userModel = require('../src/models/user');
+
+// The session counts to measure, and how many lookups to average over.
+const sessionCounts = [1, 5, 10, 20];
+const iterations = 3;
+
+/**
+ * Measures the average time taken by an async function, in milliseconds.
+ *
+ * @param {function} callable The async function to be measured.
+ * @return {Promise<number>} The average time taken.
+ */
+const measure = async callable => {
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < iterations; ++i) {
+    await callable();
+  }
+
+  return Number(process.hrtime.bigint() - start) / 1e6 / iterations;
+};
+
+/**
+ * Creates a user with the given number of bcrypt-hashed login nonces, as they
+ * were stored before sessions were introduced.
+ *
+ * @param {number} count The number of login nonces.
+ * @return {{ user: object, nonce: string }} The user, and its last nonce.
+ */
+const createLegacyUser = count => {
+  const user = new userModel({ emailAddress: 'bench@example.com' });
+  let nonce = null;
+  for (let i = 0; i < count; ++i) {
+    nonce = csprng();
+    user.loginNonces.push(bcryptjs.hashSync(nonce, bcryptjs.genSaltSync()));
+  }
+
+  return { user, nonce };
+};
+
+/**
+ * Creates a user with the given number of sessions, as they are stored now.
+ *
+ * @param {number} count The number of sessions.
+ * @return {{ user: object, nonce: string, sessionId: string }} The user, and the nonce and ID of its last session.
+ */
+const createUser = count => {
+  const user = new userModel({ emailAddress: 'bench@example.com' });
+  let nonce = null;
+  for (let i = 0; i < count; ++i) {
+    nonce = user.generateLoginNonce();
+  }
+
+  const sessionId = user.sessions[count - 1]._id.toString();
+  return { user, nonce, sessionId };
+};
+
+// Run the benchmark. The last nonce is looked up in each case, which is the
+// worst case for the old lookup.
+(async () => {
+  const results = [];
+  for (const count of sessionCounts) {
+    const legacy = createLegacyUser(count);
+    const current = createUser(count);
+
+    const before = await measure(() =>
+      legacy.user.getLegacyLoginNonceIndex(legacy.nonce)
+    );
+    const after = await measure(() =>
+      current.user.findLoginSession(current.sessionId, current.nonce)
+    );
+
+    results.push({
+      sessions: count,
+      'before (ms)': before.toFixed(3),
+      'after (ms)': after.toFixed(3)
+    });
+  }
+
+  console.table(results);
+  process.exit(0);
+})();
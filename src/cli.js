@@ -0,0 +1,361 @@
+/**
+ * @file src/cli.js
+ *
+ * A command-line tool for administering our users. Run with no arguments to
+ * list the commands available.
+ */
+
+// Load environment variables.
+const { getConfig } = require('./lib/env');
+
+// Imports
+const path = require('path');
+const mongoose = require('mongoose');
+const csprng = require('csprng');
+const userModel = require('./models/user');
+const passTokenModel = require('./models/password-token');
+const emailTokenModel = require('./models/email-token');
+const magicLinkTokenModel = require('./models/magic-link-token');
+const sendEmail = require('./lib/send-email');
+const roles = require('./lib/roles');
+const validate = require('./lib/validate');
+const { importBreachedPasswords } = require('./lib/breached-passwords');
+const { rotateSigningKeys } = require('./lib/signing-keys');
+
+/**
+ * Splits the command-line arguments into positional arguments and
+ * '--name value' options. An option with no value is set to true.
+ *
+ * @param {string[]} argv The command-line arguments.
+ * @return {{ args: string[], options: object }} The parsed arguments.
+ */
+const parseArguments = argv => {
+  const args = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const name = argv[i].slice(2);
+      const next = argv[i + 1];
+      if (typeof next === 'string' && !next.startsWith('--')) {
+        options[name] = next;
+        i++;
+      } else {
+        options[name] = true;
+      }
+    } else {
+      args.push(argv[i]);
+    }
+  }
+
+  return { args, options };
+};
+
+/**
+ * Masks a configuration value if it is a secret. Database URIs keep
+ * everything but their credentials.
+ *
+ * @param {string} key The configuration variable's name.
+ * @param {string} value The configuration variable's value.
+ * @return {string} The value, masked if needed.
+ */
+const maskConfigValue = (key, value) => {
+  if (typeof value !== 'string' || value.length === 0) {
+    return value;
+  }
+
+  if (key === 'DATABASE_URI') {
+    return value.replace(/\/\/[^@/]+@/, '//********@');
+  }
+
+  if (/(SECRET|_PASSWORD$|_TOKEN$|CLIENT_ID)/.test(key)) {
+    return '********';
+  }
+
+  return value;
+};
+
+/**
+ * Finds a user by their email address.
+ *
+ * @param {string} emailAddress The user's email address.
+ * @return {Promise<object>} The user.
+ */
+const findUser = async emailAddress => {
+  if (typeof emailAddress !== 'string') {
+    throw new Error('Please give the email address of a user.');
+  }
+
+  const user = await userModel.findOne({ emailAddress });
+  if (!user) {
+    throw new Error(`No user exists with the email address '${emailAddress}'.`);
+  }
+
+  return user;
+};
+
+// The commands available. Each command has a usage string, a description,
+// and whether or not it needs the database.
+const commands = {
+  'create-user': {
+    usage: 'create-user <email> [--password <password>] [--role <role>]',
+    description:
+      'Creates a verified user. A password is generated if none is given.',
+    run: async ([emailAddress], options) => {
+      const generated = typeof options.password !== 'string';
+      const password = generated ? csprng(128, 36) : options.password;
+      const role = typeof options.role === 'string' ? options.role : null;
+
+      const validationErrors = [
+        validate.emailAddress(emailAddress),
+        validate.newPassword(password, password, [emailAddress])
+      ].filter(err => !!err);
+      if (validationErrors.length > 0) {
+        throw new Error(validationErrors.map(err => err[1]).join(' '));
+      }
+
+      if (role && !roles.isRole(role)) {
+        const names = roles.getRoleNames().join(', ');
+        throw new Error(`Unknown role '${role}'. Roles are: ${names}.`);
+      }
+
+      if (await userModel.findOne({ emailAddress })) {
+        throw new Error('A user with this email address already exists.');
+      }
+
+      const user = new userModel({ emailAddress });
+      await user.setPassword(password);
+      user.markVerified();
+      if (role && !user.hasRole(role)) {
+        user.roles.push(role);
+      }
+      await user.save();
+
+      console.log(`Created user '${emailAddress}' (#${user._id}).`);
+      if (generated) {
+        console.log(`Password: ${password}`);
+      }
+    }
+  },
+
+  verify: {
+    usage: 'verify <email>',
+    description: 'Verifies a user without them following their link.',
+    run: async ([emailAddress]) => {
+      const user = await findUser(emailAddress);
+      user.markVerified();
+      await user.save();
+
+      console.log(`Verified user '${emailAddress}'.`);
+    }
+  },
+
+  lock: {
+    usage: 'lock <email> [--duration <seconds>]',
+    description: 'Locks a user out, and logs them out everywhere.',
+    run: async ([emailAddress], options) => {
+      const duration =
+        parseInt(options.duration) ||
+        parseInt(process.env.LOCKOUT_MAX_DURATION);
+      if (duration < 1) {
+        throw new Error('The duration must be a positive number of seconds.');
+      }
+
+      const user = await findUser(emailAddress);
+      user.lock(duration);
+      await user.removeAllLoginSessions();
+      await user.save();
+
+      console.log(`Locked user '${emailAddress}' for ${duration} second(s).`);
+    }
+  },
+
+  unlock: {
+    usage: 'unlock <email>',
+    description: 'Unlocks a user, and resets their failed login attempts.',
+    run: async ([emailAddress]) => {
+      const user = await findUser(emailAddress);
+      user.clearLockout();
+      await user.save();
+
+      console.log(`Unlocked user '${emailAddress}'.`);
+    }
+  },
+
+  delete: {
+    usage: 'delete <email> --yes',
+    description: 'Deletes a user, along with their tokens.',
+    run: async ([emailAddress], options) => {
+      if (options.yes !== true) {
+        throw new Error(`Pass '--yes' to confirm the deletion.`);
+      }
+
+      const user = await findUser(emailAddress);
+      await user.deleteAccount();
+
+      console.log(`Deleted user '${emailAddress}'.`);
+    }
+  },
+
+  'revoke-sessions': {
+    usage: 'revoke-sessions <email>',
+    description: 'Logs a user out everywhere.',
+    run: async ([emailAddress]) => {
+      const user = await findUser(emailAddress);
+      const count = user.sessions.length;
+      await user.removeAllLoginSessions();
+      await user.save();
+
+      console.log(`Revoked ${count} session(s) for '${emailAddress}'.`);
+    }
+  },
+
+  'purge-tokens': {
+    usage: 'purge-tokens',
+    description: 'Removes expired password, email and login link tokens.',
+    run: async () => {
+      // Tokens are normally removed by their TTL indices, which MongoDB only
+      // checks every minute or so.
+      const expiry = parseInt(process.env.TOKEN_EXPIRY) || 60 * 15;
+      const cutoff = new Date(Date.now() - expiry * 1000);
+
+      const passTokens = await passTokenModel.deleteMany({
+        authExpiry: { $lte: cutoff }
+      });
+      const emailTokens = await emailTokenModel.deleteMany({
+        authExpiry: { $lte: cutoff }
+      });
+      const magicLinkExpiry = parseInt(process.env.MAGIC_LINK_EXPIRY);
+      const magicLinkTokens = await magicLinkTokenModel.deleteMany({
+        authExpiry: { $lte: new Date(Date.now() - magicLinkExpiry * 1000) }
+      });
+
+      console.log(
+        `Purged ${passTokens.deletedCount} password token(s), ` +
+          `${emailTokens.deletedCount} email token(s) and ` +
+          `${magicLinkTokens.deletedCount} login link token(s).`
+      );
+    }
+  },
+
+  'rotate-signing-keys': {
+    usage: 'rotate-signing-keys [--force]',
+    description:
+      'Publishes the next login token signing key, if due. --force publishes a replacement for the current key, which starts signing once anyone caching our public keys has it.',
+    run: async (args, options) => {
+      if (process.env.JWT_SIGNING_ALGORITHM === 'HS256') {
+        throw new Error(
+          'Login tokens are signed with JWT_SECRET, so there are no keys to rotate.'
+        );
+      }
+
+      const rotated = await rotateSigningKeys(options.force === true);
+      console.log(
+        rotated
+          ? 'A new signing key has been created.'
+          : 'The signing keys do not need rotating yet.'
+      );
+    }
+  },
+
+  'send-test-email': {
+    usage: 'send-test-email <email>',
+    description: 'Sends a test email through the configured transport.',
+    offline: true,
+    run: async ([emailAddress]) => {
+      const validationError = validate.emailAddress(emailAddress);
+      if (validationError) {
+        throw new Error(validationError[1]);
+      }
+
+      await sendEmail.sendTestEmail(emailAddress);
+      console.log(
+        `Sent a test email to '${emailAddress}' using the ` +
+          `'${process.env.EMAIL_TRANSPORT_METHOD}' transport.`
+      );
+    }
+  },
+
+  'import-breached-passwords': {
+    usage: 'import-breached-passwords <file> [--output <file>]',
+    description:
+      'Adds passwords, or SHA-1 hashes, to the breached password list.',
+    offline: true,
+    run: async ([inputFile], options) => {
+      if (typeof inputFile !== 'string') {
+        throw new Error('Please give a file of passwords or hashes to import.');
+      }
+
+      const outputFile =
+        typeof options.output === 'string'
+          ? options.output
+          : process.env.BREACHED_PASSWORDS_FILE;
+      const count = importBreachedPasswords(
+        path.resolve(inputFile),
+        path.resolve(outputFile)
+      );
+
+      console.log(`The breached password list now holds ${count} hash(es).`);
+    }
+  },
+
+  config: {
+    usage: 'config',
+    description: 'Prints the resolved configuration, with secrets masked.',
+    offline: true,
+    run: async () => {
+      const config = getConfig();
+      Object.keys(config).forEach(key => {
+        const value = maskConfigValue(key, config[key]);
+        console.log(`${key}=${typeof value === 'undefined' ? '' : value}`);
+      });
+    }
+  }
+};
+
+/**
+ * Prints the commands available.
+ */
+const printUsage = () => {
+  console.log('Usage: node src/cli.js <command> [arguments]\n');
+  console.log('Commands:');
+  Object.keys(commands).forEach(name => {
+    console.log(`  ${commands[name].usage}`);
+    console.log(`      ${commands[name].description}`);
+  });
+};
+
+// Run the command given.
+(async () => {
+  const [name, ...argv] = process.argv.slice(2);
+  const command = Object.prototype.hasOwnProperty.call(commands, name)
+    ? commands[name]
+    : null;
+  if (!command) {
+    printUsage();
+    process.exitCode = name ? 1 : 0;
+    return;
+  }
+
+  const { args, options } = parseArguments(argv);
+
+  // Commands which don't need the database can run without connecting.
+  if (command.offline === true) {
+    await command.run(args, options);
+    return;
+  }
+
+  await mongoose.connect(process.env.DATABASE_URI, {
+    useNewUrlParser: true,
+    useCreateIndex: true
+  });
+
+  try {
+    await command.run(args, options);
+  } finally {
+    await mongoose.disconnect();
+  }
+})().catch(err => {
+  console.error(`Error: ${err.message || err}`);
+  process.exitCode = 1;
+});
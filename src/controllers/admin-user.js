@@ -0,0 +1,284 @@
+/**
+ * @file src/controllers/admin-user.js
+ *
+ * Controller functions letting staff manage user accounts.
+ */
+
+// Imports
+const userModel = require('../models/user');
+const passTokenModel = require('../models/password-token');
+const auditEventModel = require('../models/audit-event');
+const emailMessageModel = require('../models/email-message');
+const { asyncEndpoint, asyncMiddleware } = require('../lib/async-wrap');
+const { adminAudited } = require('../lib/audit');
+const sendEmail = require('../lib/send-email');
+const { raiseError } = require('../lib/error');
+const validate = require('../lib/validate');
+
+/**
+ * Gets the page to list from a request's query, within sensible bounds.
+ *
+ * @param {Request} req
+ * @return {{ page: number, perPage: number }} The page and page size.
+ */
+const getPage = req => ({
+  page: Math.max(1, parseInt(req.query.page) || 1),
+  perPage: Math.min(100, Math.max(1, parseInt(req.query.perPage) || 25))
+});
+
+/**
+ * Parses a 'true' or 'false' query parameter.
+ *
+ * @param {string} value The query parameter.
+ * @return {boolean} The value, or undefined if it was not given.
+ */
+const parseFlag = value => {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+
+  return undefined;
+};
+
+/**
+ * Parses a date query parameter.
+ *
+ * @param {string} value The query parameter.
+ * @return {Date} The date, or undefined if it was not given or is invalid.
+ */
+const parseDate = value => {
+  const date = typeof value === 'string' ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date : undefined;
+};
+
+/**
+ * Middleware which finds the user named in the route, and places them in
+ * 'req.auditUser'.
+ *
+ * @param {Request} req
+ */
+const findUser = async req => {
+  const { id } = req.params;
+  if (!validate.regex.objectIds.test(id)) {
+    return raiseError(404, 'No such user was found.');
+  }
+
+  const user = await userModel.findById(id);
+  if (!user) {
+    return raiseError(404, 'No such user was found.');
+  }
+
+  req.auditUser = user;
+};
+
+/**
+ * Lists users, newest first. Users can be filtered by whether they are
+ * verified or locked, when they were created, and part of their email
+ * address.
+ *
+ * @param {Request} req
+ */
+const list = async req => {
+  const { verified, locked, from, to, email } = req.query;
+  const { page, perPage } = getPage(req);
+
+  const result = await userModel.search(
+    {
+      verified: parseFlag(verified),
+      locked: parseFlag(locked),
+      from: parseDate(from),
+      to: parseDate(to),
+      emailAddress: typeof email === 'string' ? email : undefined
+    },
+    page,
+    perPage
+  );
+
+  return {
+    users: result.users.map(user => user.toAdmin()),
+    total: result.total,
+    page: result.page,
+    pages: result.pages
+  };
+};
+
+/**
+ * Gets a user.
+ *
+ * @param {Request} req
+ */
+const view = async req => {
+  return { user: req.auditUser.toAdmin() };
+};
+
+/**
+ * Lists a user's recent security events, newest first.
+ *
+ * @param {Request} req
+ */
+const activity = async req => {
+  const { page, perPage } = getPage(req);
+  const result = await auditEventModel.search(
+    { user: req.auditUser._id },
+    page,
+    perPage
+  );
+
+  return {
+    events: result.events.map(event => event.toPublic()),
+    total: result.total,
+    page: result.page,
+    pages: result.pages
+  };
+};
+
+/**
+ * Lists the emails recently sent to a user, newest first, along with whether
+ * or not each was delivered.
+ *
+ * @param {Request} req
+ */
+const emails = async req => {
+  const { page, perPage } = getPage(req);
+  const result = await emailMessageModel.search(
+    { emailAddress: req.auditUser.emailAddress },
+    page,
+    perPage
+  );
+
+  return {
+    emails: result.messages.map(message => message.toPublic()),
+    total: result.total,
+    page: result.page,
+    pages: result.pages
+  };
+};
+
+/**
+ * Verifies a user's account, without the user following their link.
+ *
+ * @param {Request} req
+ */
+const verify = async req => {
+  const user = req.auditUser;
+  if (user.verified === true) {
+    return raiseError(409, 'This user is already verified.');
+  }
+
+  user.markVerified();
+  await user.save();
+
+  return { message: 'The user has been verified.', user: user.toAdmin() };
+};
+
+/**
+ * Locks a user out of their account for a while. The user is also logged
+ * out everywhere.
+ *
+ * @param {Request} req
+ */
+const lock = async req => {
+  const user = req.auditUser;
+  const duration =
+    parseInt(req.body.duration) || parseInt(process.env.LOCKOUT_MAX_DURATION);
+
+  if (user._id.equals(req.login.user._id)) {
+    return raiseError(409, 'You cannot lock your own account.');
+  }
+
+  if (duration < 1) {
+    return raiseError(400, 'There were issues validating your input.', [
+      ['duration', 'The lockout duration must be a positive number of seconds.']
+    ]);
+  }
+
+  user.lock(duration);
+  await user.removeAllLoginSessions();
+  await user.save();
+
+  return { message: 'The user has been locked.', user: user.toAdmin() };
+};
+
+/**
+ * Unlocks a user's account, and resets their failed login attempts.
+ *
+ * @param {Request} req
+ */
+const unlock = async req => {
+  const user = req.auditUser;
+
+  user.clearLockout();
+  await user.save();
+
+  return { message: 'The user has been unlocked.', user: user.toAdmin() };
+};
+
+/**
+ * Logs a user out everywhere.
+ *
+ * @param {Request} req
+ */
+const logout = async req => {
+  const user = req.auditUser;
+
+  await user.removeAllLoginSessions();
+  await user.save();
+
+  return { message: 'The user has been logged out everywhere.' };
+};
+
+/**
+ * Sends a user a password reset email, replacing any reset they have
+ * already requested.
+ *
+ * @param {Request} req
+ */
+const resetPassword = async req => {
+  const user = req.auditUser;
+  if (user.verified === false) {
+    return raiseError(409, 'This user has not verified their account.');
+  }
+
+  await passTokenModel.deleteMany({ emailAddress: user.emailAddress });
+  const token = new passTokenModel();
+  const slug = await token.generate();
+  token.emailAddress = user.emailAddress;
+  await token.save();
+
+  await sendEmail.verifyChangePassword(user.emailAddress, { slug });
+
+  return { message: 'A password reset email has been sent to the user.' };
+};
+
+/**
+ * Deletes a user's account.
+ *
+ * @param {Request} req
+ */
+const remove = async req => {
+  const user = req.auditUser;
+  if (user._id.equals(req.login.user._id)) {
+    return raiseError(409, 'You cannot delete your own account here.');
+  }
+
+  await user.deleteAccount();
+
+  return { message: 'The user has been deleted.' };
+};
+
+// Exports
+module.exports = {
+  findUser: asyncMiddleware(findUser, { nextOnError: false }),
+  list: asyncEndpoint(adminAudited('admin.user.list', list)),
+  view: asyncEndpoint(adminAudited('admin.user.view', view)),
+  activity: asyncEndpoint(adminAudited('admin.user.activity', activity)),
+  emails: asyncEndpoint(adminAudited('admin.user.emails', emails)),
+  verify: asyncEndpoint(adminAudited('admin.user.verify', verify)),
+  lock: asyncEndpoint(adminAudited('admin.user.lock', lock)),
+  unlock: asyncEndpoint(adminAudited('admin.user.unlock', unlock)),
+  logout: asyncEndpoint(adminAudited('admin.user.logout', logout)),
+  resetPassword: asyncEndpoint(
+    adminAudited('admin.user.reset-password', resetPassword)
+  ),
+  remove: asyncEndpoint(adminAudited('admin.user.delete', remove))
+};
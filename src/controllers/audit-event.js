@@ -0,0 +1,41 @@
+/**
+ * @file src/controllers/audit-event.js
+ *
+ * Controller functions for our security audit log.
+ */
+
+// Imports
+const auditEventModel = require('../models/audit-event');
+const { asyncEndpoint } = require('../lib/async-wrap');
+
+/**
+ * Lists the authenticated user's recent security events, newest first.
+ *
+ * @param {Request} req
+ */
+const listOwn = async req => {
+  const { user } = req.login;
+  const { type } = req.query;
+
+  // Get the page to list, and make sure it is within sensible bounds.
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const perPage = Math.min(100, Math.max(1, parseInt(req.query.perPage) || 25));
+
+  const result = await auditEventModel.search(
+    { user: user._id, type: typeof type === 'string' ? type : undefined },
+    page,
+    perPage
+  );
+
+  return {
+    events: result.events.map(event => event.toPublic()),
+    total: result.total,
+    page: result.page,
+    pages: result.pages
+  };
+};
+
+// Exports
+module.exports = {
+  listOwn: asyncEndpoint(listOwn)
+};
@@ -0,0 +1,46 @@
+/**
+ * @file src/controllers/email-message.js
+ *
+ * Controller functions for the delivery status of our emails.
+ */
+
+// Imports
+const emailMessageModel = require('../models/email-message');
+const { asyncEndpoint } = require('../lib/async-wrap');
+
+/**
+ * Lists the emails recently sent to the authenticated user, newest first,
+ * along with whether or not each was delivered.
+ *
+ * @param {Request} req
+ */
+const listOwn = async req => {
+  const { user } = req.login;
+  const { template, status } = req.query;
+
+  // Get the page to list, and make sure it is within sensible bounds.
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const perPage = Math.min(100, Math.max(1, parseInt(req.query.perPage) || 25));
+
+  const result = await emailMessageModel.search(
+    {
+      emailAddress: user.emailAddress,
+      template: typeof template === 'string' ? template : undefined,
+      status: typeof status === 'string' ? status : undefined
+    },
+    page,
+    perPage
+  );
+
+  return {
+    emails: result.messages.map(message => message.toPublic()),
+    total: result.total,
+    page: result.page,
+    pages: result.pages
+  };
+};
+
+// Exports
+module.exports = {
+  listOwn: asyncEndpoint(listOwn)
+};
@@ -9,6 +9,7 @@ const userModel = require('../models/user');
 const passTokenModel = require('../models/password-token');
 const emailTokenModel = require('../models/email-token');
 const { asyncEndpoint } = require('../lib/async-wrap');
+const { audited } = require('../lib/audit');
 const sendEmail = require('../lib/send-email');
 const { raiseError } = require('../lib/error');
 const validate = require('../lib/validate');
@@ -66,7 +67,7 @@ const request = async req => {
 
   // Create and save the email token.
   let newToken = new emailTokenModel();
-  const slug = newToken.generate();
+  const slug = await newToken.generate();
   newToken.emailAddress = user.emailAddress;
   newToken.newEmailAddress = newEmailAddress;
   newToken = await newToken.save();
@@ -74,16 +75,10 @@ const request = async req => {
   // Send an email to the old address letting them know the email change was
   // requested. Send another email to the new address letting them know to
   // verify the email change.
-  try {
-    await sendEmail.emailChangeRequested(newToken.emailAddress);
-    await sendEmail.verifyEmailChange(newToken.newEmailAddress, {
-      slug
-    });
-  } catch (err) {
-    console.log(err);
-    await newToken.remove();
-    throw err;
-  }
+  await sendEmail.emailChangeRequested(newToken.emailAddress);
+  await sendEmail.verifyEmailChange(newToken.newEmailAddress, {
+    slug
+  });
 
   return {
     message: 'Check your new email inbox for the verification link.'
@@ -113,7 +108,7 @@ const authenticate = async req => {
   }
 
   // Make sure the slug submitted matches up with the token's slug hash.
-  if (!token.check(slug)) {
+  if (!(await token.check(slug))) {
     return raiseError(400, 'Email Change Unsuccessful.');
   }
 
@@ -132,6 +127,6 @@ const authenticate = async req => {
 
 // Exports
 module.exports = {
-  request: asyncEndpoint(request),
-  authenticate: asyncEndpoint(authenticate)
+  request: asyncEndpoint(audited('email.change-request', request)),
+  authenticate: asyncEndpoint(audited('email.change', authenticate))
 };
@@ -0,0 +1,136 @@
+/**
+ * @file src/controllers/identity.js
+ *
+ * Controller functions for logging in with OpenID Connect providers, and for
+ * managing the provider accounts linked to a user's account.
+ */
+
+// Imports
+const { asyncEndpoint } = require('../lib/async-wrap');
+const { audited } = require('../lib/audit');
+const { raiseError } = require('../lib/error');
+const oidc = require('../lib/oidc');
+
+/**
+ * Lists the providers users can log in with.
+ */
+const providers = async () => {
+  return {
+    providers: oidc
+      .getProviders()
+      .map(provider => ({ name: provider.name, label: provider.label }))
+  };
+};
+
+/**
+ * Starts logging in with a provider. The user should be sent to the URL
+ * returned, and the provider will send them back with a code and state to
+ * complete the login with.
+ *
+ * The login can only be completed in the same browser. The browser key is
+ * set as a cookie, and is also returned for external frontends, which must
+ * keep it and post it back along with the code and state.
+ *
+ * @param {Request} req
+ */
+const authorize = async req => {
+  const provider = oidc.findProvider(req.params.provider);
+  if (!provider) {
+    return raiseError(404, 'No such login provider was found.');
+  }
+
+  const { url, browserKey } = await oidc.createAuthorizationUrl(provider, {
+    loginHint: req.query.loginHint
+  });
+  oidc.setBrowserKeyCookie(req.res, provider, browserKey);
+
+  return { authorizationUrl: url, browserKey };
+};
+
+/**
+ * Lists the provider accounts linked to the authenticated user's account.
+ *
+ * @param {Request} req
+ */
+const list = async req => {
+  const { user } = req.login;
+
+  return {
+    identities: user.identities.map(identity => {
+      const provider = oidc.findProvider(identity.provider);
+
+      return {
+        provider: identity.provider,
+        label: provider ? provider.label : identity.provider,
+        emailAddress: identity.emailAddress,
+        linkedAt: identity.linkedAt
+      };
+    }),
+    hasPassword: !!user.passwordHash
+  };
+};
+
+/**
+ * Starts linking a provider to the authenticated user's account. As with
+ * logging in, the user should be sent to the URL returned, and the login
+ * completed in the same browser. The user must also still be logged in as
+ * themselves when it is completed, so the callback must be sent with their
+ * login token.
+ *
+ * @param {Request} req
+ */
+const link = async req => {
+  const { user } = req.login;
+  const provider = oidc.findProvider(req.params.provider);
+  if (!provider) {
+    return raiseError(404, 'No such login provider was found.');
+  }
+
+  if (user.findIdentity(provider.name)) {
+    return raiseError(
+      409,
+      `Your ${provider.label} account is already linked. Unlink it first.`
+    );
+  }
+
+  const { url, browserKey } = await oidc.createAuthorizationUrl(provider, {
+    user
+  });
+  oidc.setBrowserKeyCookie(req.res, provider, browserKey);
+
+  return { authorizationUrl: url, browserKey };
+};
+
+/**
+ * Unlinks a provider from the authenticated user's account. The user's last
+ * way of logging in can't be unlinked.
+ *
+ * @param {Request} req
+ */
+const unlink = async req => {
+  const { user } = req.login;
+  if (!user.findIdentity(req.params.provider)) {
+    return raiseError(404, 'No such linked account was found.');
+  }
+
+  if (user.countLoginMethods() <= 1) {
+    return raiseError(
+      409,
+      'This is the only way you can log in. Set a password with a password reset, or link another account, first.'
+    );
+  }
+
+  user.unlinkIdentity(req.params.provider);
+  await user.save();
+
+  return { message: 'The account has been unlinked.' };
+};
+
+// Exports
+module.exports = {
+  providers: asyncEndpoint(providers),
+  authorize: asyncEndpoint(authorize),
+  list: asyncEndpoint(list),
+  link: asyncEndpoint(audited('identity.link-start', link)),
+  unlink: asyncEndpoint(audited('identity.unlink', unlink))
+};
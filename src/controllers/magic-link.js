@@ -0,0 +1,226 @@
+/**
+ * @file src/controllers/magic-link.js
+ *
+ * Controller functions for logging in with a link emailed to the user, in
+ * place of their password.
+ */
+
+// Imports
+const fs = require('fs');
+const path = require('path');
+const userModel = require('../models/user');
+const magicLinkTokenModel = require('../models/magic-link-token');
+const { asyncEndpoint } = require('../lib/async-wrap');
+const { audited } = require('../lib/audit');
+const { handleFailedLogin, getSessionDetails } = require('../lib/auth');
+const {
+  readBrowserKey,
+  setBrowserKey,
+  clearBrowserKey
+} = require('../lib/browser-key');
+const sendEmail = require('../lib/send-email');
+const { raiseError } = require('../lib/error');
+const validate = require('../lib/validate');
+const { render } = require('../lib/template');
+
+// The page shown when a login link is opened without an external frontend.
+const confirmPage = fs.readFileSync(
+  path.join(__dirname, '..', 'templates', 'pages', 'magic-link.html'),
+  'utf8'
+);
+
+// The cookie holding the key of the browser which requested a login link.
+const browserKeyCookie = 'magic_link';
+
+/**
+ * Checks whether logging in with emailed links has been enabled.
+ *
+ * @return {boolean}
+ */
+const isEnabled = () => process.env.MAGIC_LINK_ENABLED === 'true';
+
+/**
+ * Requests a login link, to be emailed to the user. The same response is
+ * given whether or not a user exists with the email address given, so that
+ * this can't be used to find out which email addresses have accounts.
+ *
+ * If the link may only be used in the browser which requested it, either
+ * because the requester asked or because it is always required, a browser
+ * key is set as a cookie. The key is also returned for external frontends,
+ * which must keep it and present it along with the link's slug.
+ *
+ * @param {Request} req
+ */
+const request = async req => {
+  if (!isEnabled()) {
+    return raiseError(404, 'Logging in with an emailed link is not enabled.');
+  }
+
+  const { emailAddress, sameBrowser } = req.body;
+  const validationErrors = [validate.emailAddress(emailAddress)].filter(
+    err => !!err
+  );
+  if (validationErrors.length > 0) {
+    return raiseError(
+      400,
+      'There were issues validating your input.',
+      validationErrors
+    );
+  }
+
+  const token = new magicLinkTokenModel({ emailAddress });
+  const slug = await token.generate();
+
+  const response = {
+    message:
+      'If an account exists with this email address, a login link has been sent to it.'
+  };
+  if (
+    process.env.MAGIC_LINK_SAME_BROWSER === 'true' ||
+    sameBrowser === true ||
+    sameBrowser === 'true'
+  ) {
+    response.browserKey = await token.generateBrowserKey();
+    setBrowserKey(
+      req.res,
+      browserKeyCookie,
+      response.browserKey,
+      parseInt(process.env.MAGIC_LINK_EXPIRY)
+    );
+  }
+
+  // Locked users don't get a link, since it would let them straight back in.
+  const user = await userModel.findOne({ emailAddress, verified: true });
+  if (!user || user.exceededLoginAttempts) {
+    return response;
+  }
+  req.auditUser = user;
+
+  // Replace any login link the user already has.
+  await magicLinkTokenModel.deleteMany({ emailAddress });
+  await token.save();
+  await sendEmail.magicLink(emailAddress, {
+    slug,
+    expiry: Math.ceil(parseInt(process.env.MAGIC_LINK_EXPIRY) / 60)
+  });
+
+  return response;
+};
+
+/**
+ * Shows a page for confirming a login link opened straight from an email,
+ * when there is no external frontend to open it. Opening the link doesn't
+ * log the user in by itself, so that email scanners which follow links
+ * can't spend it; the page's form posts the slug to 'login' instead.
+ *
+ * @param {Request} req
+ * @param {Response} res
+ */
+const confirm = (req, res) => {
+  if (!isEnabled()) {
+    return res
+      .status(404)
+      .json(raiseError(404, 'Logging in with an emailed link is not enabled.'));
+  }
+
+  const { emailAddress, slug } = req.query;
+  if (typeof emailAddress !== 'string' || typeof slug !== 'string') {
+    return res
+      .status(400)
+      .json(raiseError(400, 'This login link is invalid or has expired.'));
+  }
+
+  return res.type('html').send(
+    render(confirmPage, {
+      siteTitle: process.env.SITE_TITLE,
+      emailAddress,
+      slug
+    })
+  );
+};
+
+/**
+ * Logs a user in with the slug from their login link. The link can only be
+ * used once. Users with two-factor authentication enabled receive a
+ * challenge, as with a password login.
+ *
+ * @param {Request} req
+ */
+const login = async req => {
+  if (!isEnabled()) {
+    return raiseError(404, 'Logging in with an emailed link is not enabled.');
+  }
+
+  const { emailAddress, slug } = req.body;
+  const validationErrors = [validate.emailAddress(emailAddress)].filter(
+    err => !!err
+  );
+  if (validationErrors.length > 0) {
+    return raiseError(
+      400,
+      'There were issues validating your input.',
+      validationErrors
+    );
+  }
+
+  // Make sure the email address resolves to a verified user with a login
+  // link which has not expired.
+  const user = await userModel.findOne({ emailAddress, verified: true });
+  req.auditUser = user;
+  const token = await magicLinkTokenModel.findOne({ emailAddress });
+  if (!user || !token || token.expired) {
+    return raiseError(401, 'This login link is invalid or has expired.');
+  }
+
+  // Incorrect slugs count against the user's login attempts.
+  if (user.exceededLoginAttempts) {
+    return raiseError(401, 'Too many incorrect logins. Try again later.');
+  } else if (user.loginAttemptsExpired) {
+    user.loginAttempts = 0;
+  }
+
+  if (!(await token.check(slug))) {
+    await handleFailedLogin(req, user);
+    return raiseError(401, 'This login link is invalid or has expired.');
+  }
+
+  // The browser key comes from our cookie, or from the body when an external
+  // frontend opens the link. The link is left unspent, so that it can still
+  // be opened in the right browser.
+  const browserKey =
+    typeof req.body.browserKey === 'string'
+      ? req.body.browserKey
+      : readBrowserKey(req, browserKeyCookie);
+  if (!(await token.checkBrowserKey(browserKey))) {
+    return raiseError(
+      401,
+      'This login link must be opened in the browser which requested it.'
+    );
+  }
+
+  // Spend the link. If another request spent it first, this one is refused.
+  if (!(await magicLinkTokenModel.spend(token._id))) {
+    return raiseError(401, 'This login link is invalid or has expired.');
+  }
+  clearBrowserKey(req.res, browserKeyCookie);
+
+  // Users whose accounts were unlocked must choose a new password first.
+  if (user.passwordResetRequired === true) {
+    return raiseError(401, 'Please choose a new password before logging in.');
+  }
+
+  if (user.twoFactorEnabled === true) {
+    const challenge = await user.generateTwoFactorChallenge();
+    return { twoFactorRequired: true, challenge };
+  }
+
+  user.recordSuccessfulLogin();
+  return user.generateLoginToken(getSessionDetails(req));
+};
+
+// Exports
+module.exports = {
+  request: asyncEndpoint(audited('login.magic-link-request', request)),
+  confirm,
+  login: asyncEndpoint(audited('login.magic-link', login))
+};
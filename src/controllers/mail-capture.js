@@ -0,0 +1,80 @@
+/**
+ * @file src/controllers/mail-capture.js
+ *
+ * Controller functions for browsing the emails captured by our development
+ * email transport.
+ */
+
+// Imports
+const { asyncEndpoint } = require('../lib/async-wrap');
+const { raiseError } = require('../lib/error');
+const {
+  listCapturedMessages,
+  findCapturedMessage,
+  clearCapturedMessages
+} = require('../lib/mail-capture');
+
+/**
+ * Lists the captured emails, newest first. The list can be narrowed down to
+ * the emails sent to one address with the 'to' query parameter.
+ *
+ * @param {Request} req
+ */
+const list = async req => {
+  const messages = listCapturedMessages(req.query.to).map(message => ({
+    id: message.id,
+    from: message.from,
+    to: message.to,
+    subject: message.subject,
+    createdAt: message.createdAt
+  }));
+
+  return { messages };
+};
+
+/**
+ * Gets a captured email, including its headers and both of its parts.
+ *
+ * @param {Request} req
+ */
+const view = async req => {
+  const message = findCapturedMessage(req.params.id);
+  if (!message) {
+    return raiseError(404, 'No such email was found.');
+  }
+
+  return { message };
+};
+
+/**
+ * Removes every captured email.
+ */
+const clear = async () => {
+  clearCapturedMessages();
+  return { message: 'The captured emails have been removed.' };
+};
+
+/**
+ * Renders one part of a captured email, as it would be seen in an email
+ * client.
+ *
+ * @param {'html' | 'text'} part The part of the email to be rendered.
+ * @return {function} The Express route function.
+ */
+const render = part => (req, res) => {
+  const message = findCapturedMessage(req.params.id);
+  if (!message || !message[part]) {
+    return res.status(404).json(raiseError(404, 'No such email was found.'));
+  }
+
+  return res.type(part === 'html' ? 'html' : 'text').send(message[part]);
+};
+
+// Exports
+module.exports = {
+  list: asyncEndpoint(list),
+  view: asyncEndpoint(view),
+  clear: asyncEndpoint(clear),
+  renderHtml: render('html'),
+  renderText: render('text')
+};
@@ -0,0 +1,90 @@
+/**
+ * @file src/controllers/mock-oidc-provider.js
+ *
+ * Controller functions for our mock OpenID Connect identity provider. These
+ * answer in the provider's own formats, rather than ours.
+ */
+
+// Imports
+const mockProvider = require('../lib/mock-oidc-provider');
+
+/**
+ * Gets the mock provider's discovery document.
+ *
+ * @param {Request} req
+ * @param {Response} res
+ */
+const discovery = (req, res) => {
+  return res.json(mockProvider.getDiscoveryDocument());
+};
+
+/**
+ * Gets the mock provider's public signing keys.
+ *
+ * @param {Request} req
+ * @param {Response} res
+ */
+const jwks = (req, res) => {
+  return res.json(mockProvider.getKeySet());
+};
+
+/**
+ * Approves a login at once, and sends the user back with a code.
+ *
+ * @param {Request} req
+ * @param {Response} res
+ */
+const authorize = (req, res) => {
+  const { redirect, error } = mockProvider.authorize(req.query);
+  if (error) {
+    return res
+      .status(400)
+      .type('text')
+      .send(error);
+  }
+
+  return res.redirect(redirect);
+};
+
+/**
+ * Exchanges a code for tokens.
+ *
+ * @param {Request} req
+ * @param {Response} res
+ */
+const token = (req, res) => {
+  const { tokens, error } = mockProvider.exchangeCode(
+    req.body,
+    req.headers['authorization']
+  );
+  if (error) {
+    return res.status(error === 'invalid_client' ? 401 : 400).json({ error });
+  }
+
+  return res.json(tokens);
+};
+
+/**
+ * Gets the claims about the user an access token was issued for.
+ *
+ * @param {Request} req
+ * @param {Response} res
+ */
+const userinfo = (req, res) => {
+  const bearerHeader = req.headers['authorization'] || '';
+  const claims = mockProvider.getUserInfo(bearerHeader.split(' ')[1]);
+  if (!claims) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+
+  return res.json(claims);
+};
+
+// Exports
+module.exports = {
+  discovery,
+  jwks,
+  authorize,
+  token,
+  userinfo
+};
@@ -8,9 +8,11 @@
 const userModel = require('../models/user');
 const passTokenModel = require('../models/password-token');
 const { asyncEndpoint } = require('../lib/async-wrap');
+const { audited } = require('../lib/audit');
 const sendEmail = require('../lib/send-email');
 const { raiseError } = require('../lib/error');
 const validate = require('../lib/validate');
+const log = require('../lib/log');
 
 /**
  * Requests a new password reset token.
@@ -33,6 +35,7 @@ const request = async req => {
 
   // Make sure the email address provided resolves to a valid, verified user.
   const user = await userModel.findOne({ emailAddress, verified: true });
+  req.auditUser = user;
   if (!user) {
     return raiseError(404, 'No user exists with this email address.');
   }
@@ -45,17 +48,12 @@ const request = async req => {
 
   // Create a new password reset token.
   token = new passTokenModel();
-  const slug = token.generate();
+  const slug = await token.generate();
   token.emailAddress = emailAddress;
   token = await token.save();
 
-  // TODO: Send the user an email letting them know to verify the token.
-  try {
-    await sendEmail.verifyChangePassword(emailAddress, { slug });
-  } catch (err) {
-    await token.remove();
-    throw err;
-  }
+  // Send the user an email letting them know to verify the token.
+  await sendEmail.verifyChangePassword(emailAddress, { slug });
 
   return {
     message: 'Check your email for the password change verification link.'
@@ -73,6 +71,7 @@ const authenticate = async req => {
 
   // Make sure the email provided resolves to a user account.
   const user = await userModel.findOne({ emailAddress, verified: true });
+  req.auditUser = user;
   if (!user) {
     return raiseError(404, 'Authentication unsuccessful.');
   }
@@ -89,30 +88,33 @@ const authenticate = async req => {
 
   // Check to see if the slug submitted matches up to the slug hash in the
   // token.
-  if (!token.check(slug)) {
+  if (!(await token.check(slug))) {
     return raiseError(401, 'Authentication unsuccessful.');
   }
 
-  // The token is now authenticated. Update as proper.
+  // The token is now authenticated. Update as proper, and issue a grant
+  // which must be presented to change the password.
   token.authenticated = true;
   token.authSlugHash = null;
+  const grant = await token.generateGrant();
   await token.save();
 
   return {
-    message: 'Your password change request has been authenticated.'
+    message: 'Your password change request has been authenticated.',
+    grant
   };
 };
 
 /**
- * Uses an authenticated password token to change the user's
- * password.
+ * Uses the grant given out by an authenticated password token to change the
+ * user's password. The user is then logged out everywhere, and told that
+ * their password was changed.
  *
  * @param {Request} req
  */
 const changePassword = async req => {
-  // Get the email address, password, and confirmed password.
-  const { emailAddress } = req.query;
-  const { password, confirm } = req.body;
+  // Get the reset grant, password, and confirmed password.
+  const { grant, password, confirm } = req.body;
 
   // Validate the user's new password.
   const validationErrors = [validate.password(password, confirm)].filter(
@@ -126,30 +128,64 @@ const changePassword = async req => {
     );
   }
 
-  // Make sure the email provided resolves to a user account.
-  const user = await userModel.findOne({ emailAddress, verified: true });
-  if (!user) {
-    return raiseError(404, 'Password change unsuccessful.');
+  // Split the grant into its token's ID and slug.
+  const [id, slug] = typeof grant === 'string' ? grant.split('.') : [];
+  if (!validate.regex.objectIds.test(id) || !slug) {
+    return raiseError(401, 'Password change unsuccessful.');
   }
 
-  // Next, make sure the email resolves to an authenticated password token.
-  const token = await passTokenModel.findOne({
-    emailAddress,
-    authenticated: true,
-    spent: false
+  // Make sure the grant resolves to an authenticated password token, and
+  // that it has not expired or already been used.
+  const token = await passTokenModel.findById(id);
+  if (!token || !(await token.checkGrant(slug))) {
+    return raiseError(401, 'Password change unsuccessful.');
+  }
+
+  // Make sure the token resolves to a user account.
+  const user = await userModel.findOne({
+    emailAddress: token.emailAddress,
+    verified: true
   });
-  if (!token) {
+  req.auditUser = user;
+  if (!user) {
     return raiseError(404, 'Password change unsuccessful.');
   }
 
-  // Mark the token as spent.
-  token.spent = true;
-  await token.save();
+  // Now that we know whose password this is, make sure the new password is
+  // strong enough, and isn't the password that may have been compromised or
+  // another recent one. The grant is left unspent so that the user can try
+  // again.
+  const passwordError =
+    validate.newPassword(password, confirm, user.getPasswordInputs()) ||
+    validate.passwordReuse(await user.isPasswordReused(password));
+  if (passwordError) {
+    return raiseError(400, 'There were issues validating your password', [
+      passwordError
+    ]);
+  }
 
-  // Update the user's password.
-  user.setPassword(password);
+  // Mark the token as spent, so that the grant can't be used again. If
+  // another request spent it first, this one is refused.
+  if (!(await passTokenModel.spendGrant(token._id, token.grantHash))) {
+    return raiseError(401, 'Password change unsuccessful.');
+  }
+
+  // Update the user's password, and log them out everywhere, in case someone
+  // else had their old password.
+  await user.setPassword(password);
+  user.passwordResetRequired = false;
+  await user.removeAllLoginSessions();
   await user.save();
 
+  // Let the user know that their password was changed.
+  try {
+    await sendEmail.passwordChanged(user.emailAddress, {
+      loggedOutEverywhere: true
+    });
+  } catch (err) {
+    log.error(`Could not send password changed email: ${err.stack || err}`);
+  }
+
   return {
     message: 'Your password was changed successfully.'
   };
@@ -157,7 +193,7 @@ const changePassword = async req => {
 
 // Exports
 module.exports = {
-  request: asyncEndpoint(request),
-  authenticate: asyncEndpoint(authenticate),
-  changePassword: asyncEndpoint(changePassword)
+  request: asyncEndpoint(audited('password.reset-request', request)),
+  authenticate: asyncEndpoint(audited('password.reset-verify', authenticate)),
+  changePassword: asyncEndpoint(audited('password.reset', changePassword))
 };
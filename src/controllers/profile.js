@@ -0,0 +1,65 @@
+/**
+ * @file src/controllers/profile.js
+ *
+ * Controller functions for the authenticated user's own account and profile.
+ */
+
+// Imports
+const { asyncEndpoint } = require('../lib/async-wrap');
+const { audited } = require('../lib/audit');
+const { raiseError } = require('../lib/error');
+const { validateProfileChanges } = require('../lib/profile');
+
+/**
+ * Gets the authenticated user's account details and profile.
+ *
+ * @param {Request} req
+ */
+const get = async req => {
+  const { user } = req.login;
+  return { user: user.toPublic() };
+};
+
+/**
+ * Updates some of the authenticated user's profile fields. Only the fields
+ * given are changed, and optional fields can be cleared by setting them to
+ * null.
+ *
+ * @param {Request} req
+ */
+const update = async req => {
+  const { user } = req.login;
+  const changes = req.body;
+
+  if (
+    changes === null ||
+    typeof changes !== 'object' ||
+    Array.isArray(changes) ||
+    Object.keys(changes).length === 0
+  ) {
+    return raiseError(400, 'Please provide the profile fields to update.');
+  }
+
+  // Validate every field given before changing any of them.
+  const validationErrors = validateProfileChanges(changes);
+  if (validationErrors.length > 0) {
+    return raiseError(
+      400,
+      'There were issues validating your profile.',
+      validationErrors
+    );
+  }
+
+  Object.keys(changes).forEach(name => {
+    user.profile[name] = changes[name] === null ? undefined : changes[name];
+  });
+  await user.save();
+
+  return { user: user.toPublic() };
+};
+
+// Exports
+module.exports = {
+  get: asyncEndpoint(get),
+  update: asyncEndpoint(audited('profile.update', update))
+};
@@ -0,0 +1,123 @@
+/**
+ * @file src/controllers/recovery-code.js
+ *
+ * Controller functions for our single-use account recovery codes.
+ */
+
+// Imports
+const userModel = require('../models/user');
+const { asyncEndpoint } = require('../lib/async-wrap');
+const { audited } = require('../lib/audit');
+const { handleFailedLogin, getSessionDetails } = require('../lib/auth');
+const sendEmail = require('../lib/send-email');
+const { raiseError } = require('../lib/error');
+const validate = require('../lib/validate');
+const log = require('../lib/log');
+
+/**
+ * Generates a new set of recovery codes for the authenticated user,
+ * replacing any existing codes. The codes are only shown this once.
+ *
+ * @param {Request} req
+ */
+const generate = async req => {
+  const { user } = req.login;
+  const { password } = req.body;
+
+  if (typeof password !== 'string' || password.length === 0) {
+    return raiseError(400, 'There were issues validating your input.', [
+      ['password', 'Please enter your password.']
+    ]);
+  }
+
+  if (!(await user.checkPassword(password))) {
+    return raiseError(401, 'The password given is incorrect.');
+  }
+
+  const recoveryCodes = await user.generateRecoveryCodes();
+  await user.save();
+
+  return {
+    message:
+      'Store these recovery codes somewhere safe. They will not be shown again.',
+    recoveryCodes
+  };
+};
+
+/**
+ * Logs a user in with a recovery code in place of their mailbox, setting a
+ * new password in the process. All other devices are logged out.
+ *
+ * @param {Request} req
+ */
+const login = async req => {
+  const { emailAddress, recoveryCode, password, confirm } = req.body;
+
+  const validationErrors = [
+    validate.emailAddress(emailAddress),
+    validate.recoveryCode(recoveryCode),
+    validate.newPassword(password, confirm, [emailAddress])
+  ].filter(v => !!v);
+  if (validationErrors.length > 0) {
+    return raiseError(
+      400,
+      'There were issues validating your input.',
+      validationErrors
+    );
+  }
+
+  const user = await userModel.findOne({ emailAddress, verified: true });
+  req.auditUser = user;
+  if (!user) {
+    return raiseError(401, 'The email address or recovery code is incorrect.');
+  }
+
+  // Incorrect codes count against the user's login attempts.
+  if (user.exceededLoginAttempts) {
+    return raiseError(401, 'Too many incorrect logins. Try again later.');
+  } else if (user.loginAttemptsExpired) {
+    user.loginAttempts = 0;
+  }
+
+  if (!(await user.useRecoveryCode(recoveryCode))) {
+    await handleFailedLogin(req, user);
+    return raiseError(401, 'The email address or recovery code is incorrect.');
+  }
+
+  // Only now that the code is known to be good is the new password checked
+  // against the user's history, so that the check can't be used to guess
+  // their old passwords. The code isn't burned until the user is saved.
+  const reuseError = validate.passwordReuse(
+    await user.isPasswordReused(password)
+  );
+  if (reuseError) {
+    return raiseError(400, 'There were issues validating your input.', [
+      reuseError
+    ]);
+  }
+
+  // The code is burned. Set the new password and log the user in.
+  await user.setPassword(password);
+  user.passwordResetRequired = false;
+  user.recordSuccessfulLogin();
+  await user.removeAllLoginSessions();
+  const tokens = await user.generateLoginToken(getSessionDetails(req));
+
+  // Let the user know that one of their codes was used.
+  const recoveryCodesRemaining = user.recoveryCodesRemaining;
+  try {
+    await sendEmail.recoveryCodeUsed(user.emailAddress, {
+      remaining: recoveryCodesRemaining
+    });
+  } catch (err) {
+    log.error(`Could not send recovery code email: ${err.stack || err}`);
+  }
+
+  return { ...tokens, recoveryCodesRemaining };
+};
+
+// Exports
+module.exports = {
+  generate: asyncEndpoint(audited('recovery-codes.generate', generate)),
+  login: asyncEndpoint(audited('login.recovery', login))
+};
@@ -0,0 +1,78 @@
+/**
+ * @file src/controllers/refresh-token.js
+ *
+ * Controller functions for our login refresh tokens.
+ */
+
+// Imports
+const userModel = require('../models/user');
+const refreshTokenModel = require('../models/refresh-token');
+const { asyncEndpoint } = require('../lib/async-wrap');
+const { audited } = require('../lib/audit');
+const { getSessionDetails } = require('../lib/auth');
+const { raiseError } = require('../lib/error');
+const validate = require('../lib/validate');
+const log = require('../lib/log');
+
+/**
+ * Exchanges a refresh token for a new login token and a new refresh token.
+ * The refresh token given is spent in the process.
+ *
+ * @param {Request} req
+ */
+const refresh = async req => {
+  const { refreshToken } = req.body;
+
+  if (typeof refreshToken !== 'string' || refreshToken.length === 0) {
+    return raiseError(400, 'There were issues validating your input.', [
+      ['refreshToken', 'Please provide a refresh token.']
+    ]);
+  }
+
+  // Split the refresh token into its ID and slug.
+  const [id, slug] = refreshToken.split('.');
+  if (!validate.regex.objectIds.test(id) || !slug) {
+    return raiseError(401, 'You are not logged in.');
+  }
+
+  // Make sure the token exists, and that the slug submitted matches up with
+  // the token's slug hash.
+  const token = await refreshTokenModel.findById(id);
+  if (!token || !(await token.check(slug))) {
+    return raiseError(401, 'You are not logged in.');
+  }
+
+  const user = await userModel.findOne({ _id: token.user, verified: true });
+  req.auditUser = user;
+  if (!user) {
+    return raiseError(401, 'You are not logged in.');
+  }
+
+  // Spend the token. A token which was already spent being used again means
+  // that the token was stolen. Revoke the whole family, logging out both the
+  // thief and the user.
+  if (!(await refreshTokenModel.spend(token._id))) {
+    log.warn(`Refresh token reuse detected for user '${user._id}'.`);
+    await user.removeRefreshTokenFamily(token.family);
+    await user.save();
+
+    return raiseError(401, 'Your login has been revoked. Please log in again.');
+  }
+
+  // Make sure the user has not logged out since the token was issued.
+  if (!user.sessions.id(token.session)) {
+    await user.removeRefreshTokenFamily(token.family);
+    await user.save();
+
+    return raiseError(401, 'You are not logged in.');
+  }
+
+  // Rotate the session's login nonce, issuing a new token in the same
+  // family.
+  return user.generateLoginToken(getSessionDetails(req), token);
+};
+
+// Exports
+module.exports = {
+  refresh: asyncEndpoint(audited('token.refresh', refresh))
+};
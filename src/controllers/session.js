@@ -0,0 +1,58 @@
+/**
+ * @file src/controllers/session.js
+ *
+ * Controller functions for the authenticated user's login sessions.
+ */
+
+// Imports
+const { asyncEndpoint } = require('../lib/async-wrap');
+const { audited } = require('../lib/audit');
+const { raiseError } = require('../lib/error');
+const validate = require('../lib/validate');
+
+/**
+ * Lists the devices on which the authenticated user is logged in. The
+ * session making the request is flagged as current.
+ *
+ * @param {Request} req
+ */
+const list = async req => {
+  const { user, session: currentSession } = req.login;
+
+  const sessions = user.sessions.map(session => ({
+    id: session._id.toString(),
+    label: session.label || null,
+    userAgent: session.userAgent || null,
+    ipAddress: session.ipAddress || null,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    current: session._id.equals(currentSession._id)
+  }));
+
+  return { sessions };
+};
+
+/**
+ * Logs the authenticated user out of a specific session.
+ *
+ * @param {Request} req
+ */
+const remove = async req => {
+  const { user } = req.login;
+  const { id } = req.params;
+
+  if (!validate.regex.objectIds.test(id) || !user.sessions.id(id)) {
+    return raiseError(404, 'No such session was found.');
+  }
+
+  await user.removeLoginSession(id);
+  await user.save();
+
+  return { message: 'The session has been logged out.' };
+};
+
+// Exports
+module.exports = {
+  list: asyncEndpoint(list),
+  remove: asyncEndpoint(audited('session.revoke', remove))
+};
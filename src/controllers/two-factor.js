@@ -0,0 +1,201 @@
+/**
+ * @file src/controllers/two-factor.js
+ *
+ * Controller functions for two-factor authentication.
+ */
+
+// Imports
+const jwt = require('jsonwebtoken');
+const userModel = require('../models/user');
+const { asyncEndpoint } = require('../lib/async-wrap');
+const { audited } = require('../lib/audit');
+const { handleFailedLogin, getSessionDetails } = require('../lib/auth');
+const sendEmail = require('../lib/send-email');
+const { raiseError } = require('../lib/error');
+const validate = require('../lib/validate');
+const log = require('../lib/log');
+
+/**
+ * Begins enrolling the authenticated user in two-factor authentication.
+ * Returns a secret and an otpauth URI to be added to an authenticator app.
+ *
+ * @param {Request} req
+ */
+const enroll = async req => {
+  const { user } = req.login;
+
+  if (user.twoFactorEnabled === true) {
+    return raiseError(409, 'Two-factor authentication is already enabled.');
+  }
+
+  const { secret, uri } = user.beginTwoFactorEnrollment();
+  await user.save();
+
+  return {
+    message: 'Add this account to your authenticator app, then confirm it.',
+    secret,
+    uri
+  };
+};
+
+/**
+ * Confirms a pending two-factor enrollment with a first code from the
+ * user's authenticator app.
+ *
+ * @param {Request} req
+ */
+const confirm = async req => {
+  const { user } = req.login;
+  const { code } = req.body;
+
+  const validationErrors = [validate.twoFactorCode(code)].filter(v => !!v);
+  if (validationErrors.length > 0) {
+    return raiseError(
+      400,
+      'There were issues validating your input.',
+      validationErrors
+    );
+  }
+
+  if (user.twoFactorEnabled === true) {
+    return raiseError(409, 'Two-factor authentication is already enabled.');
+  }
+
+  if (!user.twoFactorPendingSecret) {
+    return raiseError(404, 'There is no pending two-factor enrollment.');
+  }
+
+  if (!user.confirmTwoFactorEnrollment(code)) {
+    return raiseError(400, 'The authentication code given is incorrect.', [
+      ['code', 'The authentication code given is incorrect.']
+    ]);
+  }
+
+  await user.save();
+
+  return { message: 'Two-factor authentication is now enabled.' };
+};
+
+/**
+ * Disables two-factor authentication for the authenticated user. The user
+ * must re-enter their password to do so.
+ *
+ * @param {Request} req
+ */
+const disable = async req => {
+  const { user } = req.login;
+  const { password } = req.body;
+
+  if (typeof password !== 'string' || password.length === 0) {
+    return raiseError(400, 'There were issues validating your input.', [
+      ['password', 'Please enter your password.']
+    ]);
+  }
+
+  if (user.twoFactorEnabled === false) {
+    return raiseError(409, 'Two-factor authentication is not enabled.');
+  }
+
+  if (!(await user.checkPassword(password))) {
+    return raiseError(401, 'The password given is incorrect.');
+  }
+
+  user.disableTwoFactor();
+  await user.save();
+
+  return { message: 'Two-factor authentication is now disabled.' };
+};
+
+/**
+ * Exchanges a pending two-factor challenge, issued by the login endpoint,
+ * and a valid authentication code for a login token. A recovery code may be
+ * given in place of the authentication code.
+ *
+ * @param {Request} req
+ */
+const login = async req => {
+  const { challenge, code, recoveryCode } = req.body;
+  const usingRecoveryCode = typeof recoveryCode !== 'undefined';
+
+  const validationErrors = [
+    usingRecoveryCode
+      ? validate.recoveryCode(recoveryCode)
+      : validate.twoFactorCode(code)
+  ].filter(v => !!v);
+  if (validationErrors.length > 0) {
+    return raiseError(
+      400,
+      'There were issues validating your input.',
+      validationErrors
+    );
+  }
+
+  // Verify the challenge and get a payload.
+  let payload = null;
+  try {
+    payload = jwt.verify(challenge, process.env.JWT_SECRET);
+  } catch (err) {
+    if (err.name && err.name === 'TokenExpiredError') {
+      return raiseError(401, 'Your login has expired. Please log in again.');
+    } else if (err.name && err.name === 'JsonWebTokenError') {
+      return raiseError(401, 'Your login could not be completed.');
+    }
+
+    throw err;
+  }
+
+  if (payload.purpose !== 'two-factor' || !payload.id || !payload.nonce) {
+    return raiseError(401, 'Your login could not be completed.');
+  }
+
+  // Resolve the challenge to a verified user which is still waiting on it.
+  const user = await userModel.findOne({ _id: payload.id, verified: true });
+  req.auditUser = user;
+  if (!user || !(await user.checkTwoFactorChallenge(payload.nonce))) {
+    return raiseError(401, 'Your login could not be completed.');
+  }
+
+  // Incorrect codes count against the user's login attempts.
+  if (user.exceededLoginAttempts) {
+    return raiseError(401, 'Too many incorrect logins. Try again later.');
+  } else if (user.loginAttemptsExpired) {
+    user.loginAttempts = 0;
+  }
+
+  const passed = usingRecoveryCode
+    ? await user.useRecoveryCode(recoveryCode)
+    : user.checkTwoFactorCode(code);
+  if (!passed) {
+    await handleFailedLogin(req, user);
+    return raiseError(401, 'The authentication code given is incorrect.');
+  }
+
+  // The challenge is spent. Log the user in.
+  user.twoFactorChallengeHash = null;
+  user.recordSuccessfulLogin();
+  const tokens = await user.generateLoginToken(getSessionDetails(req));
+
+  if (!usingRecoveryCode) {
+    return tokens;
+  }
+
+  // Let the user know that one of their recovery codes was used.
+  const recoveryCodesRemaining = user.recoveryCodesRemaining;
+  try {
+    await sendEmail.recoveryCodeUsed(user.emailAddress, {
+      remaining: recoveryCodesRemaining
+    });
+  } catch (err) {
+    log.error(`Could not send recovery code email: ${err.stack || err}`);
+  }
+
+  return { ...tokens, recoveryCodesRemaining };
+};
+
+// Exports
+module.exports = {
+  enroll: asyncEndpoint(audited('two-factor.enroll', enroll)),
+  confirm: asyncEndpoint(audited('two-factor.enable', confirm)),
+  disable: asyncEndpoint(audited('two-factor.disable', disable)),
+  login: asyncEndpoint(audited('login.two-factor', login))
+};
@@ -6,19 +6,30 @@
 
 // Imports
 const passport = require('passport');
+const jwt = require('jsonwebtoken');
 const userModel = require('../models/user');
 const passTokenModel = require('../models/password-token');
 const emailTokenModel = require('../models/email-token');
 const validate = require('../lib/validate');
-const { localLoginStrategy } = require('../lib/auth');
+const {
+  localLoginStrategy,
+  createOidcLoginStrategy,
+  getSessionDetails
+} = require('../lib/auth');
+const oidc = require('../lib/oidc');
 const { getIpAddress } = require('../lib/ip');
 const sendEmail = require('../lib/send-email');
 const { asyncEndpoint } = require('../lib/async-wrap');
+const { audited } = require('../lib/audit');
 const { raiseError } = require('../lib/error');
 const log = require('../lib/log');
 
-// Use the local login strategy.
+// Use the local login strategy, and a login strategy for each configured
+// OpenID Connect provider.
 passport.use('local-login', localLoginStrategy);
+oidc.getProviders().forEach(provider => {
+  passport.use(`oidc-${provider.name}`, createOidcLoginStrategy(provider));
+});
 
 /**
  * Creates a new user account. The registering user will need to
@@ -34,7 +45,7 @@ const register = async req => {
   // Attempt to validate the user's inputs.
   const validationErrors = [
     validate.emailAddress(emailAddress),
-    validate.password(password, confirm),
+    validate.newPassword(password, confirm, [emailAddress]),
     validate.consent(consent)
   ].filter(err => !!err);
 
@@ -69,21 +80,18 @@ const register = async req => {
 
   // Create the new user and save it into the database.
   let user = new userModel();
-  const verification = user.generateVerification(getIpAddress(req));
+  const verification = await user.generateVerification(getIpAddress(req));
   user.emailAddress = emailAddress;
-  user.setPassword(password);
+  await user.setPassword(password);
   user = await user.save();
+  req.auditUser = user;
 
-  // Attempt to send the user an email asking them to verify
-  // their account.
-  try {
-    await sendEmail.verifyAccount(emailAddress, {
-      slug: verification.slug
-    });
-  } catch (err) {
-    await user.remove();
-    throw err;
-  }
+  // Send the user an email asking them to verify their account. The email
+  // is delivered from our outbox, so a failed delivery is retried rather
+  // than losing the new account.
+  await sendEmail.verifyAccount(emailAddress, {
+    slug: verification.slug
+  });
 
   // Return a message asking the user to verify their new account.
   return {
@@ -91,6 +99,78 @@ const register = async req => {
   };
 };
 
+/**
+ * Sends an un-verified user their verification link again, unless it was
+ * last sent too recently.
+ *
+ * @param {object} user The un-verified user.
+ */
+const resendVerificationEmail = async user => {
+  // The verification expiry is reset whenever the email is sent, so it tells
+  // us when that was.
+  const cooldown = parseInt(process.env.VERIFICATION_RESEND_COOLDOWN) * 1000;
+  if (
+    user.verificationExpiry &&
+    Date.now() - user.verificationExpiry < cooldown
+  ) {
+    return;
+  }
+
+  // Send the same link again, so that asking for the email doesn't stop an
+  // earlier one from working. Users whose link can't be recovered are given
+  // a new one, still tied to the IP address they signed up from.
+  const verification = user.getVerification() || user.reissueVerification();
+
+  // Give the user more time to verify their account before it expires.
+  user.verificationExpiry = Date.now();
+  await user.save();
+
+  await sendEmail.verifyAccount(user.emailAddress, {
+    slug: verification.slug
+  });
+};
+
+/**
+ * Sends a new verification email to an un-verified user, in case the first
+ * one was lost. The same response is given whether or not such a user
+ * exists, so that this can't be used to find out which email addresses
+ * have accounts.
+ *
+ * @param {Request} req
+ */
+const resendVerification = async req => {
+  const { emailAddress } = req.body;
+  const validationErrors = [validate.emailAddress(emailAddress)].filter(
+    err => !!err
+  );
+  if (validationErrors.length > 0) {
+    return raiseError(
+      400,
+      'There were issues validating your input.',
+      validationErrors
+    );
+  }
+
+  const response = {
+    message:
+      'If an unverified account exists with this email address, a new verification link has been sent to it.'
+  };
+
+  const user = await userModel.findOne({ emailAddress, verified: false });
+  if (!user) {
+    return response;
+  }
+  req.auditUser = user;
+
+  // The email is sent after responding, so that how long we take doesn't
+  // give away whether the account exists.
+  resendVerificationEmail(user).catch(err => {
+    log.error(`Could not resend a verification email: ${err.stack || err}`);
+  });
+
+  return response;
+};
+
 /**
  * Attempts to verify a newly-created user account.
  *
@@ -112,17 +192,15 @@ const verify = async req => {
   if (!user) {
     return raiseError(404, 'Verification Failed');
   }
+  req.auditUser = user;
 
   // Check the slug and IP address to complete verification.
-  if (!user.checkVerification(slug, ipAddress)) {
+  if (!(await user.checkVerification(slug, ipAddress))) {
     return raiseError(400, 'Verification Failed');
   }
 
   // The user's new account is now verified.
-  user.verified = true;
-  user.verificationExpiry = null;
-  user.verificationSlugHash = null;
-  user.verificationIpHash = null;
+  user.markVerified();
   await user.save();
 
   // Return a message.
@@ -131,6 +209,38 @@ const verify = async req => {
   };
 };
 
+/**
+ * Responds to a successful first step of logging in. Users with two-factor
+ * authentication enabled receive a short-lived challenge, to be exchanged for
+ * a login token along with a valid code. Everyone else receives their login
+ * token.
+ *
+ * @param {Request} req
+ * @param {Response} res
+ * @param {object} user The user logging in.
+ */
+const sendLoginResponse = (req, res, user) => {
+  if (user.twoFactorEnabled === true) {
+    return user
+      .generateTwoFactorChallenge()
+      .then(challenge => {
+        return res.status(200).json({ twoFactorRequired: true, challenge });
+      })
+      .catch(err => {
+        return res.status(err.status || 500).json({ error: err });
+      });
+  }
+
+  user
+    .generateLoginToken(getSessionDetails(req))
+    .then(tokens => {
+      return res.status(200).json(tokens);
+    })
+    .catch(err => {
+      return res.status(err.status || 500).json({ error: err });
+    });
+};
+
 /**
  * Attempts to log a user in to their verified account.
  *
@@ -147,25 +257,176 @@ const login = (req, res) => {
       return res.status(info.status || 500).json(info);
     }
 
-    user
-      .generateLoginToken()
-      .then(token => {
-        return res.status(200).json({ token });
-      })
-      .catch(err => {
-        return res.status(err.status || 500).json({ error: err });
+    return sendLoginResponse(req, res, user);
+  })(req, res);
+};
+
+/**
+ * Completes a login with an OpenID Connect provider, using the code and
+ * state the provider sent back. If the login was started by a logged-in user
+ * to link the provider to their account, the provider is linked instead, as
+ * long as the callback carries that user's login token.
+ *
+ * @param {Request} req
+ * @param {Response} res
+ */
+const loginWithProvider = (req, res) => {
+  const provider = oidc.findProvider(req.params.provider);
+  if (!provider) {
+    return res
+      .status(404)
+      .json(raiseError(404, 'No such login provider was found.'));
+  }
+
+  passport.authenticate(`oidc-${provider.name}`, (err, user, info) => {
+    if (err) {
+      return res.status(err.status || 500).json({ error: err });
+    }
+
+    if (!user) {
+      return res.status(info.status || 500).json({ error: info });
+    }
+
+    if (info && info.linked === true) {
+      return res.status(200).json({
+        message: `Your ${provider.label} account has been linked.`
       });
+    }
+
+    return sendLoginResponse(req, res, user);
   })(req, res);
 };
 
+/**
+ * Unlocks an account which was locked out after too many incorrect logins,
+ * using the signed link emailed to its owner. The owner must then choose a
+ * new password before logging in again.
+ *
+ * @param {Request} req
+ */
+const unlock = async req => {
+  const { token } = req.query;
+
+  // Verify the unlock token and get a payload.
+  let payload = null;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    if (err.name && err.name === 'TokenExpiredError') {
+      return raiseError(400, 'This unlock link has expired.');
+    } else if (err.name && err.name === 'JsonWebTokenError') {
+      return raiseError(400, 'Unlock unsuccessful.');
+    }
+
+    throw err;
+  }
+
+  if (payload.purpose !== 'unlock' || !payload.id || !payload.nonce) {
+    return raiseError(400, 'Unlock unsuccessful.');
+  }
+
+  // Make sure the token resolves to a user, and that it has not been used.
+  const user = await userModel.findOne({ _id: payload.id, verified: true });
+  req.auditUser = user;
+  if (!user || !(await user.checkUnlock(payload.nonce))) {
+    return raiseError(400, 'Unlock unsuccessful.');
+  }
+
+  // Unlock the account and log it out everywhere, in case someone else was
+  // trying to get in.
+  user.unlock();
+  await user.removeAllLoginSessions();
+  await user.save();
+
+  // Issue an already-authenticated password token, so that the user can
+  // choose a new password right away with its grant.
+  await passTokenModel.deleteMany({ emailAddress: user.emailAddress });
+  const passToken = new passTokenModel({
+    emailAddress: user.emailAddress,
+    authenticated: true
+  });
+  const grant = await passToken.generateGrant();
+  await passToken.save();
+
+  return {
+    message: 'Your account has been unlocked. Please choose a new password.',
+    grant
+  };
+};
+
+/**
+ * Changes the authenticated user's password. The user must give their
+ * current password, and may choose to log out of every other session.
+ *
+ * @param {Request} req
+ */
+const changePassword = async req => {
+  const { user, session } = req.login;
+  const { currentPassword, password, confirm, logoutOtherSessions } = req.body;
+
+  // Validate the user's input.
+  const validationErrors = [
+    typeof currentPassword !== 'string' || currentPassword.length === 0
+      ? ['currentPassword', 'Please enter your current password.']
+      : null,
+    validate.newPassword(password, confirm, user.getPasswordInputs())
+  ].filter(err => !!err);
+  if (validationErrors.length > 0) {
+    return raiseError(
+      400,
+      'There were issues validating your input.',
+      validationErrors
+    );
+  }
+
+  // Make sure the current password given is correct.
+  if (!(await user.checkPassword(currentPassword))) {
+    return raiseError(401, 'The password given is incorrect.', [
+      ['currentPassword', 'The password given is incorrect.']
+    ]);
+  }
+
+  // Make sure the new password isn't one the user has used recently.
+  const reuseError = validate.passwordReuse(
+    await user.isPasswordReused(password)
+  );
+  if (reuseError) {
+    return raiseError(400, 'There were issues validating your input.', [
+      reuseError
+    ]);
+  }
+
+  // Update the user's password, and log them out of their other sessions if
+  // they asked us to. The current session is kept.
+  const loggedOutElsewhere =
+    logoutOtherSessions === true || logoutOtherSessions === 'true';
+  await user.setPassword(password);
+  user.passwordResetRequired = false;
+  if (loggedOutElsewhere) {
+    await user.removeOtherLoginSessions(session._id);
+  }
+  await user.save();
+
+  // Let the user know that their password was changed.
+  try {
+    await sendEmail.passwordChanged(user.emailAddress, { loggedOutElsewhere });
+  } catch (err) {
+    log.error(`Could not send password changed email: ${err.stack || err}`);
+  }
+
+  return {
+    message: 'Your password was changed successfully.'
+  };
+};
+
 /**
  * Attempts to log an authenticated user out on a single device.
  *
  * @param {Request} req
  */
 const logout = async req => {
-  const { user, nonce } = req.login;
-  user.removeLoginNonce(nonce);
+  const { user, session } = req.login;
+  await user.removeLoginSession(session._id);
   await user.save();
 
   return { message: 'You are now logged out.' };
@@ -178,7 +439,7 @@ const logout = async req => {
  */
 const logoutAll = async req => {
   const { user } = req.login;
-  user.removeAllLoginNonces();
+  await user.removeAllLoginSessions();
   await user.save();
 
   return { message: 'You are now logged out.' };
@@ -198,18 +459,22 @@ const remove = async req => {
     return raiseError(400, 'Account deletion requires explicit consent.');
   }
 
-  await passTokenModel.deleteMany({ emailAddress: user.emailAddress });
-  await emailTokenModel.deleteMany({ emailAddress: user.emailAddress });
-  await user.remove();
+  await user.deleteAccount();
   return { message: 'Your account has been deleted.' };
 };
 
 // Exports
 module.exports = {
-  register: asyncEndpoint(register),
-  verify: asyncEndpoint(verify),
+  register: asyncEndpoint(audited('register', register)),
+  resendVerification: asyncEndpoint(
+    audited('verification.resend', resendVerification)
+  ),
+  verify: asyncEndpoint(audited('verify', verify)),
   login,
-  logout: asyncEndpoint(logout),
-  logoutAll: asyncEndpoint(logoutAll),
-  remove: asyncEndpoint(remove)
+  loginWithProvider,
+  unlock: asyncEndpoint(audited('unlock', unlock)),
+  changePassword: asyncEndpoint(audited('password.change', changePassword)),
+  logout: asyncEndpoint(audited('logout', logout)),
+  logoutAll: asyncEndpoint(audited('logout-all', logoutAll)),
+  remove: asyncEndpoint(audited('account.delete', remove))
 };
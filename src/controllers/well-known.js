@@ -0,0 +1,31 @@
+/**
+ * @file src/controllers/well-known.js
+ *
+ * Controller functions for our well-known URIs. These answer in the formats
+ * the relevant standards give, rather than ours.
+ */
+
+// Imports
+const { getPublicKeySet, publicKeyCacheAge } = require('../lib/signing-keys');
+
+/**
+ * Gets the public keys which verify our login tokens, as a JSON Web Key
+ * Set. The set is empty while tokens are signed with 'JWT_SECRET'.
+ *
+ * @param {Request} req
+ * @param {Response} res
+ * @param {function} next
+ */
+const jwks = (req, res, next) => {
+  getPublicKeySet()
+    .then(keySet => {
+      res.set('Cache-Control', `public, max-age=${publicKeyCacheAge}`);
+      return res.json(keySet);
+    })
+    .catch(next);
+};
+
+// Exports
+module.exports = {
+  jwks
+};
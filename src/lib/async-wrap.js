@@ -75,13 +75,16 @@ const asyncEndpoint = (callable, options = asyncEndpointDefaults) => (
 
 /**
  * Wraps an async/await function for use with a Passport local login
- * strategy.
+ * strategy. The request is passed along first if the strategy was created
+ * with the 'passReqToCallback' option.
  *
  * @param {function} callable The async/await function to be wrapped.
  * @return {function} The wrapped function.
  */
-const asyncPassportLocal = callable => (username, password, done) => {
-  callable(username, password)
+const asyncPassportLocal = callable => (...args) => {
+  const done = args.pop();
+
+  callable(...args)
     .then(ret => {
       if (ret.error) {
         return done(null, false, ret.error);
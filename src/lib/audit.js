@@ -0,0 +1,93 @@
+/**
+ * @file src/lib/audit.js
+ *
+ * Functions for recording events to our security audit log.
+ */
+
+// Imports
+const auditEventModel = require('../models/audit-event');
+const { getIpAddress } = require('./ip');
+const log = require('./log');
+
+/**
+ * Records an event to the audit log. Failing to record an event is logged,
+ * but never fails the request itself.
+ *
+ * @param {Request} req The request which caused the event.
+ * @param {string} type The type of event.
+ * @param {'success' | 'failure'} outcome Whether the action succeeded or failed.
+ * @param {object} extra Extra information about the event.
+ * @param {object} extra.user The user the event concerns, if known.
+ * @param {object} extra.actor The staff member who acted on the user, if any.
+ * @param {string} extra.details Further details about the event.
+ */
+const recordEvent = async (req, type, outcome, extra = {}) => {
+  const { user, actor, details } = extra;
+  const userAgent = req.headers['user-agent'];
+
+  try {
+    await auditEventModel.create({
+      type,
+      outcome,
+      user: user ? user._id : undefined,
+      emailAddress: user ? user.emailAddress : undefined,
+      actor: actor ? actor._id : undefined,
+      ipAddress: getIpAddress(req),
+      userAgent:
+        typeof userAgent === 'string' ? userAgent.slice(0, 255) : undefined,
+      details
+    });
+  } catch (err) {
+    log.error(`Could not record '${type}' audit event: ${err.stack || err}`);
+  }
+};
+
+/**
+ * Wraps a controller function so that its outcome is recorded to the audit
+ * log. The event concerns the logged-in user, or else whichever user the
+ * controller placed in 'req.auditUser'.
+ *
+ * @param {string} type The type of event.
+ * @param {function} callable The async/await controller function to be wrapped.
+ * @return {function} The wrapped function.
+ */
+const audited = (type, callable) => async req => {
+  const ret = await callable(req);
+  const failed = !!(ret && ret.error);
+
+  await recordEvent(req, type, failed ? 'failure' : 'success', {
+    user: req.login ? req.login.user : req.auditUser,
+    details: failed ? ret.error.message : undefined
+  });
+
+  return ret;
+};
+
+/**
+ * Wraps an admin controller function so that its outcome is recorded to the
+ * audit log. The event concerns whichever user the controller placed in
+ * 'req.auditUser', and records the logged-in staff member as its actor.
+ *
+ * @param {string} type The type of event.
+ * @param {function} callable The async/await controller function to be wrapped.
+ * @return {function} The wrapped function.
+ */
+const adminAudited = (type, callable) => async req => {
+  const ret = await callable(req);
+  const failed = !!(ret && ret.error);
+
+  await recordEvent(req, type, failed ? 'failure' : 'success', {
+    user: req.auditUser,
+    actor: req.login.user,
+    details: failed ? ret.error.message : undefined
+  });
+
+  return ret;
+};
+
+// Exports
+module.exports = {
+  recordEvent,
+  audited,
+  adminAudited
+};
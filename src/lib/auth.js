@@ -6,19 +6,63 @@
 
 // Imports
 const passportLocal = require('passport-local');
-const jwt = require('jsonwebtoken');
 const userModel = require('../models/user');
 const { asyncMiddleware, asyncPassportLocal } = require('./async-wrap');
+const { OidcStrategy } = require('./oidc');
+const { recordEvent } = require('./audit');
 const { raiseError } = require('./error');
+const { getIpAddress } = require('./ip');
+const { verifyLoginToken } = require('./signing-keys');
+const sendEmail = require('./send-email');
 const validate = require('./validate');
+const log = require('./log');
+
+// How often, in milliseconds, a session's last-used time is written back to
+// the database. This avoids a write on every single authenticated request.
+const sessionTouchInterval = 1000 * 60;
+
+/**
+ * Counts a failed login attempt against a user. If the user is locked out
+ * as a result, they are sent an email with a link to unlock their account.
+ *
+ * @param {Request} req The request in which the login failed.
+ * @param {object} user The user whose login failed.
+ */
+const handleFailedLogin = async (req, user) => {
+  const lockout = await user.recordFailedLogin();
+  await user.save();
+
+  if (lockout) {
+    await recordEvent(req, 'lockout', 'success', {
+      user,
+      details: `Locked for ${lockout.duration} seconds.`
+    });
+
+    try {
+      await sendEmail.accountLocked(user.emailAddress, {
+        token: lockout.token,
+        duration: Math.ceil(lockout.duration / 60)
+      });
+    } catch (err) {
+      log.error(`Could not send account locked email: ${err.stack || err}`);
+    }
+  }
+};
 
 // Login strategy for logging in via username and password.
 const localLoginStrategy = new passportLocal.Strategy(
   {
     usernameField: 'emailAddress',
-    session: false
+    session: false,
+    passReqToCallback: true
   },
-  asyncPassportLocal(async (emailAddress, password) => {
+  asyncPassportLocal(async (req, emailAddress, password) => {
+    // Records a failed login to the audit log before raising the error.
+    const fail = async (user, message) => {
+      await recordEvent(req, 'login', 'failure', { user, details: message });
+      return raiseError(401, message);
+    };
+
     // Validate the submitted credentials.
     const validationErrors = [
       validate.emailAddress(emailAddress),
@@ -35,29 +79,168 @@ const localLoginStrategy = new passportLocal.Strategy(
       verified: true
     });
     if (!user) {
-      return raiseError(401, 'The username or password given is incorrect.');
+      return fail(null, 'The username or password given is incorrect.');
     }
 
     // Has this user recently exceeded the maximum number of login attempts?
     if (user.exceededLoginAttempts) {
-      return raiseError(401, 'Too many incorrect logins. Try again later.');
+      return fail(user, 'Too many incorrect logins. Try again later.');
     } else if (user.loginAttemptsExpired) {
       user.loginAttempts = 0;
     }
 
     // Attempt to check the user's password.
-    if (user.checkPassword(password)) {
-      return { user };
-    } else {
-      user.loginAttempts++;
-      user.resetLoginAttemptsExpiry();
-      await user.save();
-
-      return raiseError(401, 'The username or password given is incorrect.');
+    if (!(await user.checkPassword(password))) {
+      await handleFailedLogin(req, user);
+      return fail(user, 'The username or password given is incorrect.');
     }
+
+    // Users whose accounts were unlocked must choose a new password first.
+    if (user.passwordResetRequired === true) {
+      return fail(user, 'Please choose a new password before logging in.');
+    }
+
+    // If the password was hashed under an outdated policy, re-hash it now
+    // while we have it.
+    if (user.passwordNeedsRehash()) {
+      await user.rehashPassword(password);
+    }
+
+    // Users with two-factor authentication enabled have not finished logging
+    // in yet, so their login attempts are not reset until they have.
+    if (user.twoFactorEnabled === false) {
+      user.recordSuccessfulLogin();
+    }
+
+    await user.save();
+    await recordEvent(req, 'login', 'success', {
+      user,
+      details: user.twoFactorEnabled ? 'Second factor required.' : undefined
+    });
+
+    return { user };
   })
 );
 
+/**
+ * Creates a login strategy for logging in with an OpenID Connect provider.
+ *
+ * A user who has linked their account with the provider is logged in. A
+ * user who hasn't is linked to the account with the same email address, as
+ * long as the provider has verified it, or else signed up. A logged-in user
+ * who started the login to link the provider has it linked to their account
+ * instead.
+ *
+ * @param {object} provider The provider's configuration.
+ * @return {OidcStrategy} The login strategy.
+ */
+const createOidcLoginStrategy = provider =>
+  new OidcStrategy(provider, async (req, identity, login) => {
+    // Records a failed login to the audit log before raising the error.
+    const fail = async (user, message, status = 401) => {
+      await recordEvent(req, 'login.oidc', 'failure', {
+        user,
+        details: `${provider.name}: ${message}`
+      });
+      return raiseError(status, message);
+    };
+
+    const owner = await userModel.findByIdentity(
+      identity.provider,
+      identity.subject
+    );
+
+    // Link the provider to the account of the user who started the login.
+    // They must still be logged in, so that a link started by one user can't
+    // be completed by another, linking the other's provider account to the
+    // first user's.
+    if (login.user) {
+      const user = req.login ? req.login.user : null;
+      if (!user || !user._id.equals(login.user)) {
+        return fail(
+          user,
+          'Please log in as the user who started linking this account.'
+        );
+      }
+
+      if (owner && !owner._id.equals(user._id)) {
+        return raiseError(
+          409,
+          'This account with the provider is already linked to another user.'
+        );
+      }
+
+      if (!owner) {
+        if (user.findIdentity(identity.provider)) {
+          return raiseError(
+            409,
+            'Another account with this provider is already linked to yours.'
+          );
+        }
+
+        user.linkIdentity(identity);
+        await user.save();
+      }
+
+      return { user, info: { linked: true } };
+    }
+
+    let user = owner;
+    if (!user) {
+      // Only an email address the provider has verified may be trusted to
+      // find or create an account.
+      if (!identity.emailAddress || !identity.emailVerified) {
+        return fail(
+          null,
+          'The provider has not verified your email address, so it cannot be used to log in.'
+        );
+      }
+
+      user = await userModel.findOne({ emailAddress: identity.emailAddress });
+
+      // An unverified account with this email address was never proven to
+      // belong to anybody, and may have been set up by someone expecting the
+      // owner to link it. Replace it.
+      if (user && user.verified === false) {
+        await user.deleteAccount();
+        user = null;
+      }
+
+      if (!user) {
+        user = new userModel({ emailAddress: identity.emailAddress });
+        user.markVerified();
+      }
+
+      user.linkIdentity(identity);
+    }
+
+    // Has this user recently exceeded the maximum number of login attempts?
+    if (user.exceededLoginAttempts) {
+      return fail(user, 'Too many incorrect logins. Try again later.');
+    }
+
+    // Users whose accounts were unlocked must choose a new password first.
+    if (user.passwordResetRequired === true) {
+      return fail(user, 'Please choose a new password before logging in.');
+    }
+
+    // As with a password, users with two-factor authentication enabled have
+    // not finished logging in yet.
+    if (user.twoFactorEnabled === false) {
+      user.recordSuccessfulLogin();
+    }
+
+    await user.save();
+    await recordEvent(req, 'login.oidc', 'success', {
+      user,
+      details: user.twoFactorEnabled
+        ? `${provider.name}: Second factor required.`
+        : provider.name
+    });
+
+    return { user };
+  });
+
 /**
  * Middleware function for checking to see if a user is logged in before
  * performing an action that requires user authentication.
@@ -80,26 +263,30 @@ const checkLoginToken = async req => {
     return raiseError(401, 'You are not logged in.');
   }
 
+  // Records a rejected login token to the audit log before raising the
+  // error.
+  const reject = async (user, details) => {
+    await recordEvent(req, 'token.rejected', 'failure', { user, details });
+    return raiseError(401, 'You are not logged in.');
+  };
+
   // Verify the token and get a payload.
   let payload = null;
   try {
-    payload = jwt.verify(rawToken, process.env.JWT_SECRET);
+    payload = await verifyLoginToken(rawToken);
 
     // Make sure our payload contains a valid user ID, expiry claim, and
     // JWT ID nonce.
     if (!payload.id || !payload.exp || !payload.jti) {
-      return raiseError(401, 'You are not logged in.');
+      return reject(null, 'Login token is missing claims.');
     }
   } catch (err) {
+    // Expired login tokens keep their nonce, so that the login can still be
+    // renewed with a refresh token.
     if (err.name && err.name === 'TokenExpiredError') {
-      const user = await userModel.findById(payload.id);
-      if (user) {
-        user.removeLoginNonce(payload.jti);
-        await user.save();
-        return raiseError(401, 'Your login has expired. Please log in again.');
-      }
+      return raiseError(401, 'Your login has expired. Please log in again.');
     } else if (err.name && err.name === 'JsonWebTokenError') {
-      return raiseError(401, 'You are not logged in.');
+      return reject(null, `Login token is invalid: ${err.message}`);
     }
 
     throw err;
@@ -109,25 +296,134 @@ const checkLoginToken = async req => {
   // JWT payload to a user in the database.
   const user = await userModel.findById(payload.id);
   if (!user || user.verified === false) {
-    return raiseError(401, 'You are not logged in.');
+    return reject(user, 'Login token does not belong to a verified user.');
   }
 
-  if (user.getLoginNonceIndex(payload.jti) === -1) {
-    return raiseError(401, 'You are not logged in.');
+  if (payload.sid && !validate.regex.objectIds.test(payload.sid)) {
+    return reject(user, 'Login token has a malformed session ID.');
+  }
+
+  const session = await user.findLoginSession(payload.sid, payload.jti);
+  if (!session) {
+    return reject(user, 'Login session has ended or was revoked.');
+  }
+
+  // The token's role claims are only a hint to the client. Roles are always
+  // checked against the database, and a token claiming a role the user no
+  // longer has is refused, so that the client logs in again or refreshes.
+  if (
+    Array.isArray(payload.roles) &&
+    payload.roles.some(role => !user.hasRole(role))
+  ) {
+    return reject(user, 'Login token claims roles which have been revoked.');
+  }
+
+  // Update the session's last-used time. Also save if the session was just
+  // moved over from the user's older login nonces.
+  if (
+    user.isModified() ||
+    Date.now() - session.lastUsedAt >= sessionTouchInterval
+  ) {
+    session.lastUsedAt = Date.now();
+    await user.save();
   }
 
-  // Authentication successful. Send the user, ID, and JWT nonce along to the
-  // next middleware function.
+  // Authentication successful. Send the user, ID, JWT nonce, and session
+  // along to the next middleware function.
   req.login = {
     id: user._id.toString(),
     nonce: payload.jti,
+    session,
     user
   };
 };
 
+/**
+ * Creates middleware which only lets a logged-in user through if they have
+ * at least one of the given roles. Use after 'requireLoginToken'.
+ *
+ * @param {...string} roleNames The roles allowed through.
+ * @return {function} The middleware function.
+ */
+const requireRole = (...roleNames) =>
+  asyncMiddleware(
+    async req => {
+      if (!req.login) {
+        return raiseError(401, 'You are not logged in.');
+      }
+
+      const { user } = req.login;
+      if (!roleNames.some(role => user.hasRole(role))) {
+        await recordEvent(req, 'access.denied', 'failure', {
+          user,
+          details: `Requires role: ${roleNames.join(', ')}.`
+        });
+        return raiseError(403, 'You do not have permission to do this.');
+      }
+    },
+    { nextOnError: false }
+  );
+
+/**
+ * Creates middleware which only lets a logged-in user through if their
+ * roles grant every one of the given permissions. Use after
+ * 'requireLoginToken'.
+ *
+ * @param {...string} permissions The permissions required.
+ * @return {function} The middleware function.
+ */
+const requirePermission = (...permissions) =>
+  asyncMiddleware(
+    async req => {
+      if (!req.login) {
+        return raiseError(401, 'You are not logged in.');
+      }
+
+      const { user } = req.login;
+      const missing = permissions.filter(
+        permission => !user.hasPermission(permission)
+      );
+      if (missing.length > 0) {
+        await recordEvent(req, 'access.denied', 'failure', {
+          user,
+          details: `Requires permission: ${missing.join(', ')}.`
+        });
+        return raiseError(403, 'You do not have permission to do this.');
+      }
+    },
+    { nextOnError: false }
+  );
+
+/**
+ * Gets the details of the device making a request, to be stored with a new
+ * login session.
+ *
+ * @param {Request} req
+ * @return {{ label: string, userAgent: string, ipAddress: string }} The device details.
+ */
+const getSessionDetails = req => {
+  const { deviceLabel } = req.body || {};
+  const userAgent = req.headers['user-agent'];
+
+  return {
+    label:
+      typeof deviceLabel === 'string' && deviceLabel.length > 0
+        ? deviceLabel.slice(0, 60)
+        : undefined,
+    userAgent:
+      typeof userAgent === 'string' ? userAgent.slice(0, 255) : undefined,
+    ipAddress: getIpAddress(req)
+  };
+};
+
 // Exports
 module.exports = {
   localLoginStrategy,
+  createOidcLoginStrategy,
+  handleFailedLogin,
+  getSessionDetails,
   checkLoginToken: asyncMiddleware(checkLoginToken),
-  requireLoginToken: asyncMiddleware(checkLoginToken, { nextOnError: false })
+  requireLoginToken: asyncMiddleware(checkLoginToken, { nextOnError: false }),
+  requireRole,
+  requirePermission
 };
@@ -0,0 +1,141 @@
+/**
+ * @file src/lib/breached-passwords.js
+ *
+ * Functions for checking passwords against a locally stored list of
+ * passwords known to appear in data breaches. The list holds SHA-1 hashes
+ * rather than passwords, and is indexed by the first five characters of each
+ * hash, in the same way as the Have I Been Pwned range API.
+ */
+
+// Imports
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+// The list shipped with the application.
+const defaultFile = path.join(
+  __dirname,
+  '..',
+  'data',
+  'breached-passwords.txt'
+);
+
+// The length of the hash prefixes that the list is indexed by.
+const prefixLength = 5;
+
+// A line holding a hash, with an optional ':count' suffix.
+const hashLineRegex = /^([0-9a-f]{40})(:\d+)?$/i;
+
+// The loaded list, mapping hash prefixes to sets of hash suffixes.
+let breachedHashes = null;
+
+/**
+ * Hashes a password as it is stored in the list.
+ *
+ * @param {string} password The password.
+ * @return {string} The password's upper-case SHA-1 hash.
+ */
+const hashPassword = password =>
+  crypto
+    .createHash('sha1')
+    .update(password)
+    .digest('hex')
+    .toUpperCase();
+
+/**
+ * Reads the hashes from a breached password list file.
+ *
+ * @param {string} file The path to the file.
+ * @return {string[]} The hashes.
+ */
+const readHashes = file =>
+  fs
+    .readFileSync(file, 'utf8')
+    .split(/\r?\n/)
+    .map(line => hashLineRegex.exec(line.trim()))
+    .filter(match => !!match)
+    .map(match => match[1].toUpperCase());
+
+/**
+ * Gets the breached password list, loading it the first time it is needed.
+ *
+ * @return {Map<string, Set<string>>} The hash suffixes, keyed by prefix.
+ */
+const getBreachedHashes = () => {
+  if (breachedHashes === null) {
+    const file = path.resolve(
+      process.env.BREACHED_PASSWORDS_FILE || defaultFile
+    );
+
+    breachedHashes = new Map();
+    readHashes(file).forEach(hash => {
+      const prefix = hash.slice(0, prefixLength);
+      if (!breachedHashes.has(prefix)) {
+        breachedHashes.set(prefix, new Set());
+      }
+      breachedHashes.get(prefix).add(hash.slice(prefixLength));
+    });
+  }
+
+  return breachedHashes;
+};
+
+/**
+ * Checks whether a password appears in the breached password list.
+ *
+ * @param {string} password The password to check.
+ * @return {boolean} Whether or not the password has been breached.
+ */
+const isBreachedPassword = password => {
+  const hash = hashPassword(password);
+  const suffixes = getBreachedHashes().get(hash.slice(0, prefixLength));
+
+  return !!suffixes && suffixes.has(hash.slice(prefixLength));
+};
+
+/**
+ * Adds passwords to a breached password list file, creating the file if
+ * needed. The input file holds either one password per line, or one SHA-1
+ * hash per line as published by Have I Been Pwned.
+ *
+ * @param {string} inputFile The path to the passwords or hashes to add.
+ * @param {string} outputFile The path to the breached password list.
+ * @return {number} The number of hashes in the list afterwards.
+ */
+const importBreachedPasswords = (inputFile, outputFile) => {
+  const hashes = new Set(
+    fs.existsSync(outputFile) ? readHashes(outputFile) : []
+  );
+
+  fs.readFileSync(inputFile, 'utf8')
+    .split(/\r?\n/)
+    .filter(line => line.length > 0)
+    .forEach(line => {
+      const match = hashLineRegex.exec(line.trim());
+      hashes.add(match ? match[1].toUpperCase() : hashPassword(line));
+    });
+
+  const header = [
+    '# SHA-1 hashes of passwords known to appear in data breaches, in upper-case',
+    `# hex and sorted, one per line. Lines may carry a ':count' suffix, as in the`,
+    '# files published by Have I Been Pwned, which is ignored. Lines starting with',
+    `# '#' are comments.`,
+    '#',
+    `# Replace or extend this file with 'node src/cli.js import-breached-passwords',`,
+    `# and point 'BREACHED_PASSWORDS_FILE' at the result.`
+  ];
+  fs.writeFileSync(
+    outputFile,
+    `${[...header, ...[...hashes].sort()].join('\n')}\n`
+  );
+
+  // Make sure the new list is used from now on.
+  breachedHashes = null;
+  return hashes.size;
+};
+
+// Exports
+module.exports = {
+  isBreachedPassword,
+  importBreachedPasswords
+};
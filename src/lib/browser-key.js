@@ -0,0 +1,58 @@
+/**
+ * @file src/lib/browser-key.js
+ *
+ * Functions for the cookies holding browser keys, which tie a login to the
+ * browser which started it.
+ */
+
+/**
+ * Gets the browser key held in a cookie.
+ *
+ * @param {Request} req
+ * @param {string} name The cookie's name.
+ * @return {string} The browser key, or null if there is no cookie.
+ */
+const readBrowserKey = (req, name) => {
+  const prefix = `${name}=`;
+  const cookie = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(prefix));
+
+  return cookie ? decodeURIComponent(cookie.slice(prefix.length)) : null;
+};
+
+/**
+ * Sets a cookie holding a browser key.
+ *
+ * @param {Response} res
+ * @param {string} name The cookie's name.
+ * @param {string} browserKey The browser key.
+ * @param {number} expiry How long the cookie is kept, in seconds.
+ */
+const setBrowserKey = (res, name, browserKey, expiry) => {
+  res.cookie(name, browserKey, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.SITE_URI.startsWith('https:'),
+    maxAge: expiry * 1000,
+    path: '/'
+  });
+};
+
+/**
+ * Removes a cookie holding a browser key, once its login is over.
+ *
+ * @param {Response} res
+ * @param {string} name The cookie's name.
+ */
+const clearBrowserKey = (res, name) => {
+  res.clearCookie(name, { path: '/' });
+};
+
+// Exports
+module.exports = {
+  readBrowserKey,
+  setBrowserKey,
+  clearBrowserKey
+};
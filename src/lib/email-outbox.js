@@ -0,0 +1,101 @@
+/**
+ * @file src/lib/email-outbox.js
+ *
+ * The background worker which delivers the emails waiting in our outbox.
+ * Failed deliveries are retried with an exponential backoff, until the
+ * email is given up on as dead.
+ */
+
+// Imports
+const emailMessageModel = require('../models/email-message');
+const { renderEmail, deliverEmail } = require('./send-email');
+const log = require('./log');
+
+// Whether or not the outbox is currently being processed, so that slow
+// deliveries don't cause the outbox to be processed twice at once.
+let processing = false;
+
+/**
+ * Attempts to render and deliver a claimed email, and records the outcome.
+ *
+ * @param {object} message The email message to be delivered.
+ */
+const deliverMessage = async message => {
+  try {
+    await deliverEmail({
+      from: message.from,
+      to: message.to,
+      ...renderEmail(message.template, message.params || {})
+    });
+    message.markSent();
+  } catch (err) {
+    message.markFailed(err);
+
+    if (message.status === 'dead') {
+      log.error(
+        `Giving up on '${message.template}' email #${message._id} after ` +
+          `${message.attempts} attempt(s): ${message.lastError}`
+      );
+    } else {
+      const delay = message.getRetryDelay();
+      log.warn(
+        `Could not deliver '${message.template}' email #${message._id}, ` +
+          `retrying in ${delay} second(s): ${message.lastError}`
+      );
+    }
+  }
+
+  await message.save();
+};
+
+/**
+ * Delivers every email in the outbox which is due to be delivered.
+ *
+ * @return {Promise<number>} The number of emails attempted.
+ */
+const processOutbox = async () => {
+  if (processing === true) {
+    return 0;
+  }
+
+  processing = true;
+  let count = 0;
+
+  try {
+    const lockDuration = parseInt(process.env.EMAIL_OUTBOX_LOCK_DURATION);
+    let message = null;
+    while ((message = await emailMessageModel.claimNext(lockDuration))) {
+      await deliverMessage(message);
+      count++;
+    }
+  } finally {
+    processing = false;
+  }
+
+  return count;
+};
+
+/**
+ * Starts processing the outbox at a regular interval.
+ *
+ * @return {object} The interval's timer.
+ */
+const startOutboxWorker = () => {
+  const interval = parseInt(process.env.EMAIL_OUTBOX_INTERVAL) * 1000;
+
+  const timer = setInterval(() => {
+    processOutbox().catch(err => {
+      log.error(`Could not process the email outbox: ${err.stack || err}`);
+    });
+  }, interval);
+
+  // Don't keep the process alive just for the outbox.
+  timer.unref();
+  return timer;
+};
+
+// Exports
+module.exports = {
+  processOutbox,
+  startOutboxWorker
+};
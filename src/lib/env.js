@@ -8,6 +8,7 @@
 // Imports
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const loadEnvFile = require('node-env-file');
 const log = require('./log');
 
@@ -23,6 +24,10 @@ if (process.env.NODE_ENV === 'development') {
   }
 }
 
+// The environment variables making up our configuration, in the order they
+// were checked or loaded.
+const configKeys = new Set();
+
 /**
  * Checks for a required environment variable with the given string key.
  * Throws an exception if no such variable is found.
@@ -31,6 +36,8 @@ if (process.env.NODE_ENV === 'development') {
  * @param {string[]} values An array of required values.
  */
 const checkRequiredEnv = (key, values = []) => {
+  configKeys.add(key);
+
   if (!process.env[key]) {
     throw new Error(
       `A required environment variable, '${key}', was not found.`
@@ -55,13 +62,19 @@ const checkRequiredEnv = (key, values = []) => {
  * @param {string} value A default value to load if the variable is not found.
  */
 const loadDefaultEnv = (key, value) => {
+  configKeys.add(key);
   process.env[key] = process.env[key] || value.toString();
 };
 
 // Check for required environment variables here.
 checkRequiredEnv('NODE_ENV');
 checkRequiredEnv('DATABASE_URI');
-checkRequiredEnv('EMAIL_TRANSPORT_METHOD', ['oauth2', 'userpass', 'local']);
+checkRequiredEnv('EMAIL_TRANSPORT_METHOD', [
+  'oauth2',
+  'userpass',
+  'local',
+  'capture'
+]);
 checkRequiredEnv('JWT_SECRET');
 checkRequiredEnv('USING_EXTERNAL_FRONTEND');
 
@@ -69,10 +82,164 @@ if (process.env.USING_EXTERNAL_FRONTEND === 'true') {
   checkRequiredEnv('SITE_FRONTEND_URI');
 }
 
+// Captured emails are never sent, so they don't need a real sender address.
+if (process.env.EMAIL_TRANSPORT_METHOD === 'capture') {
+  loadDefaultEnv('EMAIL_TRANSPORT_ADDRESS', 'noreply@localhost');
+}
+
 // Load default environment variables here.
 loadDefaultEnv('PORT', 3000);
+
+// We expect to run behind one proxy, which sets the 'X-Forwarded-*' headers.
+// Servers which clients reach directly should set 'TRUST_PROXY' to 'false',
+// so that clients can't choose their own IP addresses.
 loadDefaultEnv('FORCE_HTTPS', true);
+loadDefaultEnv('TRUST_PROXY', 1);
+
 loadDefaultEnv('SITE_URI', `http://localhost:${process.env.PORT}`);
 loadDefaultEnv('SITE_TITLE', 'The Website');
 loadDefaultEnv('SITE_AUTHOR', 'The Website Author');
 loadDefaultEnv('MAX_LOGIN_ATTEMPTS', 3);
+loadDefaultEnv('TWO_FACTOR_ISSUER', process.env.SITE_TITLE);
+loadDefaultEnv('TWO_FACTOR_CHALLENGE_EXPIRY', 60 * 5);
+loadDefaultEnv('RECOVERY_CODE_COUNT', 10);
+loadDefaultEnv('ACCESS_TOKEN_EXPIRY', 60 * 15);
+loadDefaultEnv('REFRESH_TOKEN_EXPIRY', 60 * 60 * 24 * 30);
+loadDefaultEnv('JWT_SIGNING_ALGORITHM', 'HS256');
+checkRequiredEnv('JWT_SIGNING_ALGORITHM', ['HS256', 'RS256', 'ES256', 'EdDSA']);
+loadDefaultEnv('JWT_KEY_ROTATION_INTERVAL', 60 * 60 * 24 * 30);
+loadDefaultEnv('JWT_KEY_PREPUBLISH', 60 * 60 * 24);
+
+// Session nonces are hashed, and signing keys encrypted, with secrets of
+// their own, so that one leaking doesn't give the others away. Production
+// must set each one it uses; elsewhere, distinct secrets are derived from
+// 'JWT_SECRET'.
+[
+  ['SESSION_SECRET', true],
+  ['JWT_KEY_ENCRYPTION_SECRET', process.env.JWT_SIGNING_ALGORITHM !== 'HS256']
+].forEach(([key, needed]) => {
+  if (process.env.NODE_ENV === 'production' && needed) {
+    checkRequiredEnv(key);
+    if (process.env[key] === process.env.JWT_SECRET) {
+      throw new Error(
+        `The environment variable, '${key}', must differ from 'JWT_SECRET'.`
+      );
+    }
+  } else {
+    const derived = crypto.hkdfSync(
+      'sha256',
+      process.env.JWT_SECRET,
+      '',
+      key,
+      32
+    );
+    loadDefaultEnv(key, Buffer.from(derived).toString('hex'));
+  }
+});
+
+loadDefaultEnv('HASH_COST', 10);
+loadDefaultEnv('PASSWORD_HASH_ALGORITHM', 'bcrypt');
+loadDefaultEnv('SCRYPT_COST', 15);
+loadDefaultEnv('SCRYPT_BLOCK_SIZE', 8);
+loadDefaultEnv('SCRYPT_PARALLELIZATION', 1);
+loadDefaultEnv('ARGON2_MEMORY_COST', 65536);
+loadDefaultEnv('ARGON2_TIME_COST', 3);
+loadDefaultEnv('ARGON2_PARALLELISM', 1);
+checkRequiredEnv('PASSWORD_HASH_ALGORITHM', ['bcrypt', 'scrypt', 'argon2']);
+loadDefaultEnv('RATE_LIMIT_STORE', 'memory');
+checkRequiredEnv('RATE_LIMIT_STORE', ['memory', 'mongo']);
+loadDefaultEnv('LOGIN_ATTEMPTS_WINDOW', 60 * 5);
+loadDefaultEnv('LOCKOUT_BASE_DURATION', 60 * 5);
+loadDefaultEnv('LOCKOUT_MULTIPLIER', 2);
+loadDefaultEnv('LOCKOUT_MAX_DURATION', 60 * 60 * 24);
+loadDefaultEnv('UNLOCK_EXPIRY', 60 * 60 * 24);
+loadDefaultEnv('AUDIT_LOG_RETENTION', 60 * 60 * 24 * 90);
+loadDefaultEnv('EMAIL_OUTBOX_INTERVAL', 5);
+loadDefaultEnv('EMAIL_OUTBOX_LOCK_DURATION', 60 * 5);
+loadDefaultEnv('EMAIL_MAX_ATTEMPTS', 8);
+loadDefaultEnv('EMAIL_RETRY_BASE_DELAY', 30);
+loadDefaultEnv('EMAIL_RETRY_MAX_DELAY', 60 * 60);
+loadDefaultEnv('EMAIL_OUTBOX_RETENTION', 60 * 60 * 24 * 30);
+loadDefaultEnv('VERIFICATION_RESEND_COOLDOWN', 60);
+loadDefaultEnv('PASSWORD_RESET_GRANT_EXPIRY', 60 * 10);
+loadDefaultEnv('PASSWORD_MIN_SCORE', 3);
+loadDefaultEnv('PASSWORD_HISTORY_DEPTH', 5);
+loadDefaultEnv('MAGIC_LINK_ENABLED', false);
+loadDefaultEnv('MAGIC_LINK_EXPIRY', 60 * 10);
+loadDefaultEnv('MAGIC_LINK_SAME_BROWSER', false);
+loadDefaultEnv('OIDC_LOGIN_EXPIRY', 60 * 10);
+loadDefaultEnv('OIDC_MOCK_PROVIDER', false);
+
+// Outside of production, a mock identity provider can stand in for a real
+// one. It only needs listing in 'OIDC_PROVIDERS' as 'mock'.
+if (
+  process.env.NODE_ENV !== 'production' &&
+  process.env.OIDC_MOCK_PROVIDER === 'true'
+) {
+  loadDefaultEnv('OIDC_MOCK_ISSUER', `${process.env.SITE_URI}/api/dev/oidc`);
+  loadDefaultEnv('OIDC_MOCK_CLIENT_ID', 'mock-client');
+  loadDefaultEnv('OIDC_MOCK_CLIENT_SECRET', 'mock-secret');
+  loadDefaultEnv('OIDC_MOCK_LABEL', 'Mock Provider');
+}
+
+// Each OpenID Connect provider needs an issuer and a client ID. The rest of
+// each provider's settings are optional.
+(process.env.OIDC_PROVIDERS || '')
+  .split(',')
+  .map(name => name.trim().toUpperCase())
+  .filter(name => name.length > 0)
+  .forEach(name => {
+    checkRequiredEnv(`OIDC_${name}_ISSUER`);
+    checkRequiredEnv(`OIDC_${name}_CLIENT_ID`);
+    [
+      'CLIENT_SECRET',
+      'LABEL',
+      'SCOPE',
+      'REDIRECT_URI',
+      'AUTHORIZATION_ENDPOINT',
+      'TOKEN_ENDPOINT',
+      'USERINFO_ENDPOINT',
+      'JWKS_URI'
+    ].forEach(key => configKeys.add(`OIDC_${name}_${key}`));
+  });
+loadDefaultEnv(
+  'BREACHED_PASSWORDS_FILE',
+  path.join(__dirname, '..', 'data', 'breached-passwords.txt')
+);
+
+// Some settings have no default, and are only needed in some setups.
+[
+  'EMAIL_TRANSPORT_SERVICE',
+  'EMAIL_TRANSPORT_ADDRESS',
+  'EMAIL_TRANSPORT_PASSWORD',
+  'EMAIL_TRANSPORT_CLIENT_ID',
+  'EMAIL_TRANSPORT_CLIENT_SECRET',
+  'EMAIL_TRANSPORT_REFRESH_TOKEN',
+  'EMAIL_TRANSPORT_ACCESS_TOKEN',
+  'EMAIL_TRANSPORT_DOMAIN',
+  'EMAIL_TRANSPORT_PORT',
+  'EMAIL_TEMPLATE_DIR',
+  'EMAIL_CAPTURE_DIR',
+  'SITE_FRONTEND_URI',
+  'TOKEN_EXPIRY',
+  'UNVERIFIED_USER_EXPIRY',
+  'ROLES_FILE',
+  'OIDC_PROVIDERS'
+].forEach(key => configKeys.add(key));
+
+/**
+ * Gets our resolved configuration.
+ *
+ * @return {object} The value of each configuration variable, keyed by name.
+ */
+const getConfig = () => {
+  const config = {};
+  configKeys.forEach(key => {
+    config[key] = process.env[key];
+  });
+
+  return config;
+};
+
+// Exports
+module.exports = { getConfig };
@@ -0,0 +1,49 @@
+/**
+ * @file src/lib/hash.js
+ *
+ * Functions for salt-and-hashing secrets, such as passwords and slugs,
+ * without blocking the event loop.
+ */
+
+// Imports
+const bcryptjs = require('bcryptjs');
+
+/**
+ * Gets the cost factor to hash with, as set in the environment.
+ *
+ * @return {number} The cost factor.
+ */
+const getHashCost = () => parseInt(process.env.HASH_COST);
+
+/**
+ * Salt-and-hashes the given value.
+ *
+ * @param {string} value The value to be hashed.
+ * @return {Promise<string>} The salt-and-hashed value.
+ */
+const hashValue = async value => {
+  const salt = await bcryptjs.genSalt(getHashCost());
+  return bcryptjs.hash(value, salt);
+};
+
+/**
+ * Checks a value against a salt-and-hashed value.
+ *
+ * @param {string} value The value to be checked.
+ * @param {string} hash The salt-and-hashed value to check against.
+ * @return {Promise<boolean>} Whether or not the value matches the hash.
+ */
+const compareHash = async (value, hash) => {
+  if (typeof value !== 'string' || typeof hash !== 'string') {
+    return false;
+  }
+
+  return bcryptjs.compare(value, hash);
+};
+
+// Exports
+module.exports = {
+  getHashCost,
+  hashValue,
+  compareHash
+};
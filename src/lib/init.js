@@ -30,6 +30,12 @@ process.on('unhandledRejection', err => {
     useCreateIndex: true
   });
 
+  // Start delivering the emails in our outbox.
+  require('./email-outbox').startOutboxWorker();
+
+  // Keep our login token signing keys rotated.
+  require('./signing-keys').startKeyRotationWorker();
+
   // Start the server.
   server.start();
 })().catch(err => {
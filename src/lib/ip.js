@@ -5,26 +5,33 @@
  */
 
 /**
- * Gets a client's IP address from the request header.
+ * Gets a client's IP address. Clients can write whatever they like into the
+ * 'X-Forwarded-For' header, so it is only read as far as our trusted
+ * proxies go, as set with 'TRUST_PROXY'.
  *
  * @param {Request} req
  * @return {string} The client's IP address.
  */
-const getIpAddress = req => {
-  // Check for the 'X-Forwarded-For' request header.
-  const forwardedFor = req.headers['x-forwarded-for'];
+const getIpAddress = req => req.ip || req.connection.remoteAddress;
 
-  // Get the client IP from the header if it is present.
-  if (forwardedFor) {
-    const splitHeader = forwardedFor.split(',');
-    return splitHeader[0];
-  } else {
-    // Otherwise, return the remote address.
-    return req.connection.remoteAddress;
+/**
+ * Parses the 'TRUST_PROXY' setting into Express's 'trust proxy' setting.
+ * It may be 'true' or 'false', the number of proxies in front of the
+ * server, or a comma-separated list of trusted addresses and subnets.
+ *
+ * @param {string} value The setting's value.
+ * @return {boolean|number|string} The value for Express.
+ */
+const parseTrustProxy = value => {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
   }
+
+  return /^\d+$/.test(value) ? parseInt(value) : value;
 };
 
 // Exports
 module.exports = {
-  getIpAddress
+  getIpAddress,
+  parseTrustProxy
 };
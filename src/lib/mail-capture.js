@@ -0,0 +1,198 @@
+/**
+ * @file src/lib/mail-capture.js
+ *
+ * An email transport for development and testing, which captures outgoing
+ * emails instead of sending them. Captured emails are written to disk, and
+ * kept in memory so they can be browsed through our development routes.
+ */
+
+// Imports
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+// The folder that captured emails are written to.
+const captureFolder = path.resolve(
+  process.env.EMAIL_CAPTURE_DIR || path.join(process.cwd(), 'mail')
+);
+
+// The most captured emails kept in memory at once. Older emails are still
+// kept on disk.
+const maxCapturedMessages = 200;
+
+// The captured emails, newest first.
+let capturedMessages = [];
+
+/**
+ * Parses the header block of a raw email into an object of header values.
+ *
+ * @param {string} raw The raw email.
+ * @return {object} The email's headers, keyed by lower-case name.
+ */
+const parseHeaders = raw => {
+  const end = raw.indexOf('\r\n\r\n');
+  const block = end === -1 ? raw : raw.slice(0, end);
+  const headers = {};
+
+  // Unfold any headers which are spread over multiple lines.
+  block
+    .replace(/\r\n[ \t]+/g, ' ')
+    .split('\r\n')
+    .forEach(line => {
+      const separator = line.indexOf(':');
+      if (separator !== -1) {
+        headers[line.slice(0, separator).toLowerCase()] = line
+          .slice(separator + 1)
+          .trim();
+      }
+    });
+
+  return headers;
+};
+
+/**
+ * Loads any emails captured earlier from disk, so that they can still be
+ * browsed after a restart.
+ */
+const loadCapturedMessages = () => {
+  if (fs.existsSync(captureFolder) === false) {
+    return;
+  }
+
+  capturedMessages = fs
+    .readdirSync(captureFolder)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      try {
+        return JSON.parse(
+          fs.readFileSync(path.join(captureFolder, file), 'utf8')
+        );
+      } catch (err) {
+        return null;
+      }
+    })
+    .filter(message => !!message)
+    .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
+    .slice(0, maxCapturedMessages);
+};
+
+/**
+ * Captures an email, keeping it in memory and writing it to disk. The email
+ * is written both as JSON, and as a raw '.eml' file which can be opened in
+ * most email clients.
+ *
+ * @param {object} message The captured email.
+ * @param {string} raw The raw email.
+ */
+const captureMessage = (message, raw) => {
+  capturedMessages.unshift(message);
+  capturedMessages = capturedMessages.slice(0, maxCapturedMessages);
+
+  if (fs.existsSync(captureFolder) === false) {
+    fs.mkdirSync(captureFolder, { recursive: true });
+  }
+
+  fs.writeFileSync(
+    path.join(captureFolder, `${message.id}.json`),
+    JSON.stringify(message, null, 2)
+  );
+  fs.writeFileSync(path.join(captureFolder, `${message.id}.eml`), raw);
+};
+
+/**
+ * Creates a nodemailer transport which captures emails instead of sending
+ * them.
+ *
+ * @return {object} The nodemailer transport.
+ */
+const createCaptureTransport = () => ({
+  name: 'capture',
+  version: '1.0.0',
+  send: (mail, done) => {
+    mail.message.build((err, raw) => {
+      if (err) {
+        return done(err);
+      }
+
+      raw = raw.toString();
+      const envelope = mail.message.getEnvelope();
+      const messageId = mail.message.messageId();
+
+      // Name captured emails by time, so they sort in the order they were
+      // sent.
+      const createdAt = new Date();
+      const id = `${createdAt.getTime()}-${crypto
+        .randomBytes(4)
+        .toString('hex')}`;
+
+      try {
+        captureMessage(
+          {
+            id,
+            messageId,
+            from: mail.data.from,
+            to: mail.data.to,
+            envelope,
+            subject: mail.data.subject,
+            headers: parseHeaders(raw),
+            html: mail.data.html || null,
+            text: mail.data.text || null,
+            createdAt: createdAt.toISOString()
+          },
+          raw
+        );
+      } catch (err) {
+        return done(err);
+      }
+
+      done(null, { envelope, messageId, captureId: id });
+    });
+  }
+});
+
+/**
+ * Lists the captured emails, newest first.
+ *
+ * @param {string} to Only list the emails sent to this address, if given.
+ * @return {object[]} The captured emails.
+ */
+const listCapturedMessages = to =>
+  typeof to === 'string'
+    ? capturedMessages.filter(message =>
+        []
+          .concat(message.envelope.to || [])
+          .some(address => address.toLowerCase() === to.toLowerCase())
+      )
+    : capturedMessages;
+
+/**
+ * Finds a captured email.
+ *
+ * @param {string} id The captured email's ID.
+ * @return {object} The captured email, or undefined if it was not found.
+ */
+const findCapturedMessage = id =>
+  capturedMessages.find(message => message.id === id);
+
+/**
+ * Clears every captured email, both from memory and from disk.
+ */
+const clearCapturedMessages = () => {
+  if (fs.existsSync(captureFolder) === true) {
+    fs.readdirSync(captureFolder)
+      .filter(file => file.endsWith('.json') || file.endsWith('.eml'))
+      .forEach(file => fs.unlinkSync(path.join(captureFolder, file)));
+  }
+
+  capturedMessages = [];
+};
+
+loadCapturedMessages();
+
+// Exports
+module.exports = {
+  createCaptureTransport,
+  listCapturedMessages,
+  findCapturedMessage,
+  clearCapturedMessages
+};
@@ -0,0 +1,259 @@
+/**
+ * @file src/lib/mock-oidc-provider.js
+ *
+ * A mock OpenID Connect identity provider, for testing logins with outside
+ * providers without a real one. Every login is approved at once, as the
+ * user named by the 'login_hint' parameter, or else 'OIDC_MOCK_EMAIL'.
+ * Passing 'email_verified=false' to the authorization endpoint gives an
+ * unverified email address.
+ *
+ * The provider's signing key is generated when the server starts, and its
+ * codes and access tokens are only held in memory.
+ */
+
+// Imports
+const crypto = require('crypto');
+const csprng = require('csprng');
+const jwt = require('jsonwebtoken');
+
+// How long, in seconds, codes and tokens last.
+const codeExpiry = 60;
+const tokenExpiry = 60 * 5;
+
+// The provider's signing key.
+const keyId = csprng(64, 36);
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048
+});
+
+// The codes and access tokens issued, keyed by their value.
+const codes = new Map();
+const accessTokens = new Map();
+
+/**
+ * Gets the mock provider's issuer.
+ *
+ * @return {string}
+ */
+const getIssuer = () => process.env.OIDC_MOCK_ISSUER;
+
+/**
+ * Removes codes and access tokens which have expired.
+ */
+const removeExpired = () => {
+  [codes, accessTokens].forEach(store => {
+    store.forEach((value, key) => {
+      if (Date.now() >= value.expiresAt) {
+        store.delete(key);
+      }
+    });
+  });
+};
+
+/**
+ * Gets the mock provider's discovery document.
+ *
+ * @return {object}
+ */
+const getDiscoveryDocument = () => {
+  const issuer = getIssuer();
+
+  return {
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    userinfo_endpoint: `${issuer}/userinfo`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: [
+      'client_secret_basic',
+      'client_secret_post'
+    ]
+  };
+};
+
+/**
+ * Gets the mock provider's public signing keys.
+ *
+ * @return {{ keys: object[] }}
+ */
+const getKeySet = () => ({
+  keys: [
+    {
+      ...publicKey.export({ format: 'jwk' }),
+      kid: keyId,
+      use: 'sig',
+      alg: 'RS256'
+    }
+  ]
+});
+
+/**
+ * Approves an authorization request, issuing a code.
+ *
+ * @param {object} query The authorization request's query.
+ * @return {{ redirect: string, error: string }} Where to send the user, or
+ * the reason the request was refused.
+ */
+const authorize = query => {
+  const {
+    client_id,
+    redirect_uri,
+    response_type,
+    state,
+    nonce,
+    code_challenge,
+    code_challenge_method,
+    login_hint,
+    email_verified
+  } = query;
+
+  if (client_id !== process.env.OIDC_MOCK_CLIENT_ID) {
+    return { error: 'The client ID is not known.' };
+  }
+
+  if (typeof redirect_uri !== 'string' || response_type !== 'code') {
+    return { error: 'A redirect URI and code response type are required.' };
+  }
+
+  if (typeof code_challenge !== 'string' || code_challenge_method !== 'S256') {
+    return { error: 'An S256 PKCE code challenge is required.' };
+  }
+
+  removeExpired();
+  const emailAddress =
+    typeof login_hint === 'string' && login_hint.length > 0
+      ? login_hint
+      : process.env.OIDC_MOCK_EMAIL || 'mock.user@example.com';
+  const code = csprng(160, 36);
+  codes.set(code, {
+    clientId: client_id,
+    redirectUri: redirect_uri,
+    nonce,
+    codeChallenge: code_challenge,
+    claims: {
+      sub: crypto
+        .createHash('sha256')
+        .update(emailAddress)
+        .digest('hex')
+        .slice(0, 24),
+      email: emailAddress,
+      email_verified: email_verified !== 'false'
+    },
+    expiresAt: Date.now() + codeExpiry * 1000
+  });
+
+  const url = new URL(redirect_uri);
+  url.searchParams.set('code', code);
+  if (typeof state === 'string') {
+    url.searchParams.set('state', state);
+  }
+
+  return { redirect: url.toString() };
+};
+
+/**
+ * Exchanges a code for an ID token and access token.
+ *
+ * @param {object} body The token request's body.
+ * @param {string} authorization The token request's authorization header.
+ * @return {{ tokens: object, error: string }} The tokens, or the OAuth
+ * error code for why the request was refused.
+ */
+const exchangeCode = (body, authorization) => {
+  // The client may authenticate with either HTTP basic authentication or
+  // its secret in the body.
+  let clientId = body.client_id;
+  let clientSecret = body.client_secret;
+  if (typeof authorization === 'string' && authorization.startsWith('Basic ')) {
+    const credentials = Buffer.from(authorization.slice(6), 'base64')
+      .toString()
+      .split(':')
+      .map(decodeURIComponent);
+    [clientId, clientSecret] = credentials;
+  }
+
+  if (
+    clientId !== process.env.OIDC_MOCK_CLIENT_ID ||
+    clientSecret !== process.env.OIDC_MOCK_CLIENT_SECRET
+  ) {
+    return { error: 'invalid_client' };
+  }
+
+  removeExpired();
+  const issued = codes.get(body.code);
+  codes.delete(body.code);
+  if (
+    body.grant_type !== 'authorization_code' ||
+    !issued ||
+    issued.clientId !== clientId ||
+    issued.redirectUri !== body.redirect_uri ||
+    typeof body.code_verifier !== 'string'
+  ) {
+    return { error: 'invalid_grant' };
+  }
+
+  // The code verifier must hash to the code challenge given earlier.
+  const challenge = crypto
+    .createHash('sha256')
+    .update(body.code_verifier)
+    .digest('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+  if (challenge !== issued.codeChallenge) {
+    return { error: 'invalid_grant' };
+  }
+
+  const accessToken = csprng(160, 36);
+  accessTokens.set(accessToken, {
+    claims: issued.claims,
+    expiresAt: Date.now() + tokenExpiry * 1000
+  });
+
+  const idToken = jwt.sign(
+    { ...issued.claims, nonce: issued.nonce },
+    privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    {
+      algorithm: 'RS256',
+      keyid: keyId,
+      issuer: getIssuer(),
+      audience: clientId,
+      expiresIn: tokenExpiry
+    }
+  );
+
+  return {
+    tokens: {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: tokenExpiry,
+      id_token: idToken
+    }
+  };
+};
+
+/**
+ * Gets the claims about the user an access token was issued for.
+ *
+ * @param {string} accessToken The access token.
+ * @return {object} The user's claims, or null if the token is invalid.
+ */
+const getUserInfo = accessToken => {
+  removeExpired();
+  const issued = accessTokens.get(accessToken);
+
+  return issued ? issued.claims : null;
+};
+
+// Exports
+module.exports = {
+  getDiscoveryDocument,
+  getKeySet,
+  authorize,
+  exchangeCode,
+  getUserInfo
+};
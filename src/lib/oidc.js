@@ -0,0 +1,537 @@
+/**
+ * @file src/lib/oidc.js
+ *
+ * A generic OpenID Connect client, for letting users log in with an outside
+ * identity provider. Providers are configured with environment variables:
+ *
+ *   OIDC_PROVIDERS=google,acme
+ *   OIDC_GOOGLE_ISSUER=https://accounts.google.com
+ *   OIDC_GOOGLE_CLIENT_ID=...
+ *   OIDC_GOOGLE_CLIENT_SECRET=...
+ *
+ * Each provider may also set a 'LABEL' to show users, a 'SCOPE', and a
+ * 'REDIRECT_URI'. Providers are found with OpenID Connect discovery, unless
+ * their 'AUTHORIZATION_ENDPOINT', 'TOKEN_ENDPOINT', 'JWKS_URI' and
+ * 'USERINFO_ENDPOINT' are given as well.
+ *
+ * Only OpenID Connect providers, which issue ID tokens, are supported. Plain
+ * OAuth2 providers, such as GitHub, can't be used.
+ *
+ * Logins use the authorization code flow with PKCE. The state parameter ties
+ * the provider's response to the login which was started, and the nonce ties
+ * the ID token to it. A browser key, held in a cookie or by an external
+ * frontend, ties the login to the browser which started it.
+ */
+
+// Imports
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { Strategy } = require('passport');
+const oidcLoginModel = require('../models/oidc-login');
+const {
+  readBrowserKey,
+  setBrowserKey,
+  clearBrowserKey
+} = require('./browser-key');
+const { raiseError } = require('./error');
+const log = require('./log');
+
+// The signing algorithms we accept on ID tokens.
+const idTokenAlgorithms = [
+  'RS256',
+  'RS384',
+  'RS512',
+  'PS256',
+  'PS384',
+  'PS512',
+  'ES256',
+  'ES384',
+  'ES512'
+];
+
+// How long, in milliseconds, to wait before fetching a provider's keys again
+// when an ID token is signed with a key we don't know.
+const jwksRefreshInterval = 1000 * 60;
+
+// How long, in milliseconds, to wait for a provider to respond.
+const requestTimeout = 1000 * 10;
+
+// Discovery documents and signing keys, keyed by provider name.
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Encodes a buffer as unpadded base64url.
+ *
+ * @param {Buffer} buffer
+ * @return {string}
+ */
+const base64Url = buffer =>
+  buffer
+    .toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+
+/**
+ * Gets the name of the cookie holding a login's browser key.
+ *
+ * @param {object} provider The provider's configuration.
+ * @return {string}
+ */
+const getCookieName = provider => `oidc_login_${provider.name}`;
+
+/**
+ * Sets the cookie holding a login's browser key, so that the login can only
+ * be completed in the browser which started it.
+ *
+ * @param {Response} res
+ * @param {object} provider The provider's configuration.
+ * @param {string} browserKey The login's browser key.
+ */
+const setBrowserKeyCookie = (res, provider, browserKey) =>
+  setBrowserKey(
+    res,
+    getCookieName(provider),
+    browserKey,
+    parseInt(process.env.OIDC_LOGIN_EXPIRY)
+  );
+
+/**
+ * Gets the URI at which users come back from providers, when no redirect
+ * URI is configured.
+ *
+ * @param {string} name The provider's name.
+ * @return {string} The redirect URI.
+ */
+const getDefaultRedirectUri = name => {
+  const endpointUriStart =
+    process.env.USING_EXTERNAL_FRONTEND === 'true'
+      ? process.env.SITE_FRONTEND_URI
+      : `${process.env.SITE_URI}/api`;
+
+  return `${endpointUriStart}/user/oidc/${name}/callback`;
+};
+
+/**
+ * Gets the configured providers.
+ *
+ * @return {object[]} Each provider's configuration.
+ */
+const getProviders = () =>
+  (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => name.length > 0)
+    .map(name => {
+      const env = key => process.env[`OIDC_${name.toUpperCase()}_${key}`];
+
+      return {
+        name,
+        label: env('LABEL') || name,
+        issuer: env('ISSUER'),
+        clientId: env('CLIENT_ID'),
+        clientSecret: env('CLIENT_SECRET'),
+        scope: env('SCOPE') || 'openid email profile',
+        redirectUri: env('REDIRECT_URI') || getDefaultRedirectUri(name),
+        endpoints: {
+          authorization_endpoint: env('AUTHORIZATION_ENDPOINT'),
+          token_endpoint: env('TOKEN_ENDPOINT'),
+          userinfo_endpoint: env('USERINFO_ENDPOINT'),
+          jwks_uri: env('JWKS_URI')
+        }
+      };
+    });
+
+/**
+ * Finds a configured provider by name.
+ *
+ * @param {string} name The provider's name.
+ * @return {object} The provider's configuration, or null if not configured.
+ */
+const findProvider = name =>
+  getProviders().find(provider => provider.name === name) || null;
+
+/**
+ * Gets a provider's endpoints, fetching its discovery document the first
+ * time they are needed. Endpoints configured by hand take precedence.
+ *
+ * @param {object} provider The provider's configuration.
+ * @return {Promise<object>} The provider's metadata.
+ */
+const getMetadata = async provider => {
+  const configured = provider.endpoints;
+  if (
+    configured.authorization_endpoint &&
+    configured.token_endpoint &&
+    configured.jwks_uri
+  ) {
+    return { issuer: provider.issuer, ...configured };
+  }
+
+  if (!discoveryCache.has(provider.name)) {
+    const issuer = provider.issuer.replace(/\/+$/, '');
+    const { data } = await axios.get(
+      `${issuer}/.well-known/openid-configuration`,
+      { timeout: requestTimeout }
+    );
+
+    // The discovery document must be for the issuer we asked about.
+    if (!data || data.issuer !== provider.issuer) {
+      throw new Error(
+        `The discovery document for '${provider.name}' names the wrong issuer.`
+      );
+    }
+
+    discoveryCache.set(provider.name, data);
+  }
+
+  const metadata = { ...discoveryCache.get(provider.name) };
+  Object.keys(configured).forEach(key => {
+    if (configured[key]) {
+      metadata[key] = configured[key];
+    }
+  });
+
+  return metadata;
+};
+
+/**
+ * Finds the key a provider signed an ID token with. The provider's keys are
+ * fetched again if the key is unknown, since providers rotate their keys.
+ *
+ * @param {object} provider The provider's configuration.
+ * @param {object} metadata The provider's metadata.
+ * @param {string} kid The ID of the signing key.
+ * @return {Promise<string>} The key, in PEM format, or null if not found.
+ */
+const getSigningKey = async (provider, metadata, kid) => {
+  const findKey = () => {
+    const keySet = jwksCache.get(provider.name);
+    const candidates = (keySet ? keySet.keys : []).filter(
+      key => key.use !== 'enc' && (!kid || key.kid === kid)
+    );
+
+    // Without a key ID, the provider must only have the one signing key.
+    if (kid) {
+      return candidates[0] || null;
+    }
+    return candidates.length === 1 ? candidates[0] : null;
+  };
+
+  let jwk = findKey();
+  const keySet = jwksCache.get(provider.name);
+  if (
+    !jwk &&
+    (!keySet || Date.now() - keySet.fetchedAt >= jwksRefreshInterval)
+  ) {
+    const { data } = await axios.get(metadata.jwks_uri, {
+      timeout: requestTimeout
+    });
+    jwksCache.set(provider.name, {
+      keys: data && Array.isArray(data.keys) ? data.keys : [],
+      fetchedAt: Date.now()
+    });
+    jwk = findKey();
+  }
+
+  if (!jwk) {
+    return null;
+  }
+
+  return crypto
+    .createPublicKey({ key: jwk, format: 'jwk' })
+    .export({ type: 'spki', format: 'pem' });
+};
+
+/**
+ * Creates the URL to send a user to in order to log in with a provider, and
+ * records the login so that it can be completed when they come back.
+ *
+ * @param {object} provider The provider's configuration.
+ * @param {object} options
+ * @param {object} options.user The logged-in user, if they are linking the
+ * provider to their account.
+ * @param {string} options.loginHint A hint as to which account to use.
+ * @return {Promise<{ url: string, browserKey: string }>} The authorization
+ * URL, and the key the browser must present to complete the login.
+ */
+const createAuthorizationUrl = async (provider, options = {}) => {
+  const metadata = await getMetadata(provider);
+  const { login, state, browserKey } = await oidcLoginModel.start(
+    provider.name,
+    options.user
+  );
+
+  const codeChallenge = base64Url(
+    crypto
+      .createHash('sha256')
+      .update(login.codeVerifier)
+      .digest()
+  );
+  const query = {
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scope,
+    state,
+    nonce: login.nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  };
+  if (typeof options.loginHint === 'string' && options.loginHint.length > 0) {
+    query.login_hint = options.loginHint;
+  }
+
+  const url = new URL(metadata.authorization_endpoint);
+  Object.keys(query).forEach(key => url.searchParams.set(key, query[key]));
+
+  return { url: url.toString(), browserKey };
+};
+
+/**
+ * Exchanges an authorization code for the provider's tokens.
+ *
+ * @param {object} provider The provider's configuration.
+ * @param {object} metadata The provider's metadata.
+ * @param {string} code The authorization code.
+ * @param {string} codeVerifier The login's PKCE code verifier.
+ * @return {Promise<object>} The provider's token response.
+ */
+const exchangeCode = async (provider, metadata, code, codeVerifier) => {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: provider.redirectUri,
+    code_verifier: codeVerifier
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  // Confidential clients authenticate with HTTP basic authentication, the
+  // default, unless the provider only takes the secret in the body.
+  const methods = metadata.token_endpoint_auth_methods_supported;
+  if (!provider.clientSecret) {
+    body.set('client_id', provider.clientId);
+  } else if (
+    Array.isArray(methods) &&
+    !methods.includes('client_secret_basic') &&
+    methods.includes('client_secret_post')
+  ) {
+    body.set('client_id', provider.clientId);
+    body.set('client_secret', provider.clientSecret);
+  } else {
+    const credentials = [provider.clientId, provider.clientSecret]
+      .map(encodeURIComponent)
+      .join(':');
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString(
+      'base64'
+    )}`;
+  }
+
+  const { data } = await axios.post(metadata.token_endpoint, body.toString(), {
+    headers,
+    timeout: requestTimeout
+  });
+
+  return data;
+};
+
+/**
+ * Verifies an ID token issued by a provider, and checks that it belongs to
+ * the login being completed.
+ *
+ * @param {object} provider The provider's configuration.
+ * @param {object} metadata The provider's metadata.
+ * @param {string} idToken The ID token.
+ * @param {string} nonce The login's nonce.
+ * @return {Promise<object>} The token's claims, or null if it is invalid.
+ */
+const verifyIdToken = async (provider, metadata, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header) {
+    return null;
+  }
+
+  const key = await getSigningKey(provider, metadata, decoded.header.kid);
+  if (!key) {
+    return null;
+  }
+
+  try {
+    const claims = jwt.verify(idToken, key, {
+      algorithms: idTokenAlgorithms,
+      issuer: provider.issuer,
+      audience: provider.clientId
+    });
+
+    // The nonce ties the token to this login, so that a token issued for
+    // another login can't be replayed.
+    if (!claims.sub || claims.nonce !== nonce) {
+      return null;
+    }
+
+    return claims;
+  } catch (err) {
+    if (err.name === 'JsonWebTokenError' || err.name === 'TokenExpiredError') {
+      log.warn(`Rejected ID token from '${provider.name}': ${err.message}`);
+      return null;
+    }
+
+    throw err;
+  }
+};
+
+/**
+ * Fetches the claims about a user from a provider's userinfo endpoint.
+ *
+ * @param {object} metadata The provider's metadata.
+ * @param {string} accessToken The access token issued with the ID token.
+ * @return {Promise<object>} The user's claims.
+ */
+const fetchUserInfo = async (metadata, accessToken) => {
+  const { data } = await axios.get(metadata.userinfo_endpoint, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+    timeout: requestTimeout
+  });
+
+  return data || {};
+};
+
+/**
+ * A passport strategy completing logins with an OpenID Connect provider.
+ * The verify function is given the request, the identity the provider
+ * vouched for, and the login being completed. It returns the user, and
+ * optionally some info, or an error raised with 'raiseError'.
+ */
+class OidcStrategy extends Strategy {
+  /**
+   * @param {object} provider The provider's configuration.
+   * @param {function} verify The async verify function.
+   */
+  constructor(provider, verify) {
+    super();
+    this.name = `oidc-${provider.name}`;
+    this.provider = provider;
+    this.verify = verify;
+  }
+
+  authenticate(req) {
+    this.complete(req)
+      .then(ret => {
+        if (ret.error) {
+          return this.fail(ret.error, ret.error.status);
+        }
+
+        return this.success(ret.user, ret.info);
+      })
+      .catch(err => this.error(err));
+  }
+
+  /**
+   * Completes a login with the code and state the provider sent back.
+   *
+   * @param {Request} req
+   */
+  async complete(req) {
+    const { provider } = this;
+    const params = { ...req.query, ...req.body };
+
+    // The user may have refused, or the provider may have failed.
+    if (typeof params.error === 'string') {
+      return raiseError(
+        401,
+        `The login was refused: ${params.error_description || params.error}`
+      );
+    }
+
+    if (typeof params.code !== 'string' || typeof params.state !== 'string') {
+      return raiseError(
+        400,
+        'The login response is missing its code or state.'
+      );
+    }
+
+    // Make sure the state belongs to a login we started with this provider,
+    // in this browser. The browser key comes from our cookie, or from the
+    // body when an external frontend completes the login. It is never taken
+    // from the query, which whoever sent the user here could have written.
+    const browserKey =
+      req.body && typeof req.body.browserKey === 'string'
+        ? req.body.browserKey
+        : readBrowserKey(req, getCookieName(provider));
+    const login = await oidcLoginModel.consume(
+      provider.name,
+      params.state,
+      browserKey
+    );
+    if (req.res) {
+      clearBrowserKey(req.res, getCookieName(provider));
+    }
+
+    if (!login) {
+      return raiseError(401, 'This login has expired. Please try again.');
+    }
+
+    const metadata = await getMetadata(provider);
+    let tokens = null;
+    try {
+      tokens = await exchangeCode(
+        provider,
+        metadata,
+        params.code,
+        login.codeVerifier
+      );
+    } catch (err) {
+      const reason = err.response ? JSON.stringify(err.response.data) : err;
+      log.warn(`Code exchange with '${provider.name}' failed: ${reason}`);
+      return raiseError(401, 'The provider did not accept the login.');
+    }
+
+    if (!tokens || typeof tokens.id_token !== 'string') {
+      log.warn(
+        `'${provider.name}' did not issue an ID token. Is it an OpenID Connect provider?`
+      );
+      return raiseError(401, 'The provider did not accept the login.');
+    }
+
+    const claims = await verifyIdToken(
+      provider,
+      metadata,
+      tokens.id_token,
+      login.nonce
+    );
+    if (!claims) {
+      return raiseError(401, 'The provider did not accept the login.');
+    }
+
+    // Some providers leave the email address out of the ID token, and only
+    // give it from their userinfo endpoint.
+    let { email, email_verified } = claims;
+    if (!email && metadata.userinfo_endpoint && tokens.access_token) {
+      const info = await fetchUserInfo(metadata, tokens.access_token);
+      if (info.sub === claims.sub) {
+        email = info.email;
+        email_verified = info.email_verified;
+      }
+    }
+
+    const identity = {
+      provider: provider.name,
+      subject: String(claims.sub),
+      emailAddress: typeof email === 'string' ? email : null,
+      emailVerified: email_verified === true || email_verified === 'true'
+    };
+
+    return this.verify(req, identity, login);
+  }
+}
+
+// Exports
+module.exports = {
+  getProviders,
+  findProvider,
+  createAuthorizationUrl,
+  setBrowserKeyCookie,
+  OidcStrategy
+};
@@ -0,0 +1,271 @@
+/**
+ * @file src/lib/password-hash.js
+ *
+ * Functions for hashing and checking passwords with a choice of algorithms.
+ * The algorithm and its parameters are encoded into each hash, so that
+ * older hashes can still be checked, and re-hashed once the hashing policy
+ * is raised.
+ */
+
+// Imports
+const crypto = require('crypto');
+const bcryptjs = require('bcryptjs');
+const { getHashCost } = require('./hash');
+
+/**
+ * Loads the optional 'argon2' package, which is not installed by default.
+ *
+ * @return {object} The argon2 package.
+ */
+const loadArgon2 = () => {
+  try {
+    return require('argon2');
+  } catch (err) {
+    throw new Error(
+      `The 'argon2' password hashing algorithm requires the 'argon2' package to be installed.`
+    );
+  }
+};
+
+/**
+ * Derives a key from a password with scrypt.
+ *
+ * @param {string} password The password.
+ * @param {Buffer} salt The salt.
+ * @param {{ ln: number, r: number, p: number }} params The scrypt parameters.
+ * @return {Promise<Buffer>} The derived key.
+ */
+const deriveScryptKey = (password, salt, params) =>
+  new Promise((resolve, reject) => {
+    const N = Math.pow(2, params.ln);
+    const options = { N, r: params.r, p: params.p, maxmem: 256 * N * params.r };
+
+    crypto.scrypt(password, salt, 64, options, (err, key) =>
+      err ? reject(err) : resolve(key)
+    );
+  });
+
+/**
+ * Parses a scrypt hash, in the form '$scrypt$ln=15,r=8,p=1$salt$key'.
+ *
+ * @param {string} hash The scrypt hash.
+ * @return {{ params: object, salt: Buffer, key: Buffer }} The parsed hash, or null if malformed.
+ */
+const parseScryptHash = hash => {
+  const [, , paramString, salt, key] = hash.split('$');
+  if (!paramString || !salt || !key) {
+    return null;
+  }
+
+  const params = {};
+  paramString.split(',').forEach(pair => {
+    const [name, value] = pair.split('=');
+    params[name] = parseInt(value);
+  });
+
+  return {
+    params,
+    salt: Buffer.from(salt, 'base64'),
+    key: Buffer.from(key, 'base64')
+  };
+};
+
+// bcrypt ignores everything past the first 72 bytes of a password, so
+// passwords are first digested with HMAC-SHA-256, keyed with the hash's salt.
+// Hashes made this way are marked with a versioned prefix, so that plain
+// bcrypt hashes made before can still be checked.
+const bcryptPrefix = '$bcrypt-sha256$v=1';
+
+/**
+ * Digests a password for bcrypt to hash, so that every character of a long
+ * password counts.
+ *
+ * @param {string} password The password.
+ * @param {string} salt The bcrypt salt, which keys the digest.
+ * @return {string} The digest, in base64.
+ */
+const digestForBcrypt = (password, salt) =>
+  crypto
+    .createHmac('sha256', salt)
+    .update(password)
+    .digest('base64');
+
+// The password hashing algorithms available to us. Each algorithm can
+// identify its own hashes, hash and verify passwords, and tell whether a
+// hash falls short of the current policy.
+const algorithms = {
+  bcrypt: {
+    identify: hash =>
+      hash.startsWith(`${bcryptPrefix}$`) || /^\$2[aby]\$/.test(hash),
+    params: () => ({ cost: getHashCost() }),
+    hash: async (password, params) => {
+      const salt = await bcryptjs.genSalt(params.cost);
+      const hash = await bcryptjs.hash(digestForBcrypt(password, salt), salt);
+
+      return `${bcryptPrefix}${hash}`;
+    },
+    verify: (password, hash) => {
+      if (!hash.startsWith(bcryptPrefix)) {
+        return bcryptjs.compare(password, hash);
+      }
+
+      // The salt is the first 29 characters of a bcrypt hash.
+      const bcryptHash = hash.slice(bcryptPrefix.length);
+      return bcryptjs.compare(
+        digestForBcrypt(password, bcryptHash.slice(0, 29)),
+        bcryptHash
+      );
+    },
+    needsRehash: (hash, params) =>
+      !hash.startsWith(bcryptPrefix) ||
+      bcryptjs.getRounds(hash.slice(bcryptPrefix.length)) < params.cost
+  },
+
+  scrypt: {
+    identify: hash => hash.startsWith('$scrypt$'),
+    params: () => ({
+      ln: parseInt(process.env.SCRYPT_COST),
+      r: parseInt(process.env.SCRYPT_BLOCK_SIZE),
+      p: parseInt(process.env.SCRYPT_PARALLELIZATION)
+    }),
+    hash: async (password, params) => {
+      const salt = crypto.randomBytes(16);
+      const key = await deriveScryptKey(password, salt, params);
+
+      return [
+        '',
+        'scrypt',
+        `ln=${params.ln},r=${params.r},p=${params.p}`,
+        salt.toString('base64'),
+        key.toString('base64')
+      ].join('$');
+    },
+    verify: async (password, hash) => {
+      const parsed = parseScryptHash(hash);
+      if (!parsed) {
+        return false;
+      }
+
+      const key = await deriveScryptKey(password, parsed.salt, parsed.params);
+      return (
+        key.length === parsed.key.length &&
+        crypto.timingSafeEqual(key, parsed.key)
+      );
+    },
+    needsRehash: (hash, params) => {
+      const parsed = parseScryptHash(hash);
+      return (
+        !parsed ||
+        parsed.params.ln < params.ln ||
+        parsed.params.r < params.r ||
+        parsed.params.p < params.p
+      );
+    }
+  },
+
+  argon2: {
+    identify: hash => /^\$argon2(id|i|d)\$/.test(hash),
+    params: () => ({
+      memoryCost: parseInt(process.env.ARGON2_MEMORY_COST),
+      timeCost: parseInt(process.env.ARGON2_TIME_COST),
+      parallelism: parseInt(process.env.ARGON2_PARALLELISM)
+    }),
+    hash: (password, params) => {
+      const argon2 = loadArgon2();
+      return argon2.hash(password, { ...params, type: argon2.argon2id });
+    },
+    verify: (password, hash) => loadArgon2().verify(hash, password),
+    needsRehash: (hash, params) => loadArgon2().needsRehash(hash, params)
+  }
+};
+
+/**
+ * Adds a password hashing algorithm, or replaces an existing one.
+ *
+ * @param {string} name The algorithm's name, as used in 'PASSWORD_HASH_ALGORITHM'.
+ * @param {object} algorithm The algorithm's 'identify', 'params', 'hash', 'verify' and 'needsRehash' functions.
+ */
+const registerAlgorithm = (name, algorithm) => {
+  algorithms[name] = algorithm;
+};
+
+/**
+ * Gets the name of the algorithm used to create the given hash.
+ *
+ * @param {string} hash The password hash.
+ * @return {string} The algorithm's name, or null if it is not recognized.
+ */
+const identifyAlgorithm = hash =>
+  Object.keys(algorithms).find(name => algorithms[name].identify(hash)) || null;
+
+/**
+ * Gets the name of the algorithm which new passwords are hashed with.
+ *
+ * @return {string} The algorithm's name.
+ */
+const getCurrentAlgorithm = () => {
+  const name = process.env.PASSWORD_HASH_ALGORITHM;
+  if (!algorithms[name]) {
+    throw new Error(`Unknown password hashing algorithm: '${name}'.`);
+  }
+
+  return name;
+};
+
+/**
+ * Hashes a password with the current algorithm and parameters.
+ *
+ * @param {string} password The password to be hashed.
+ * @return {Promise<string>} The password hash.
+ */
+const hashPassword = async password => {
+  const algorithm = algorithms[getCurrentAlgorithm()];
+  return algorithm.hash(password, algorithm.params());
+};
+
+/**
+ * Checks a password against a password hash, using whichever algorithm
+ * created that hash.
+ *
+ * @param {string} password The password to be checked.
+ * @param {string} hash The password hash.
+ * @return {Promise<boolean>} Whether or not the password matches the hash.
+ */
+const verifyPassword = async (password, hash) => {
+  if (typeof password !== 'string' || typeof hash !== 'string') {
+    return false;
+  }
+
+  const name = identifyAlgorithm(hash);
+  if (!name) {
+    return false;
+  }
+
+  return algorithms[name].verify(password, hash);
+};
+
+/**
+ * Checks whether a password hash was created with an outdated algorithm or
+ * weaker parameters than the current policy.
+ *
+ * @param {string} hash The password hash.
+ * @return {boolean} Whether or not the password should be re-hashed.
+ */
+const passwordNeedsRehash = hash => {
+  const current = getCurrentAlgorithm();
+  if (identifyAlgorithm(hash) !== current) {
+    return true;
+  }
+
+  const algorithm = algorithms[current];
+  return algorithm.needsRehash(hash, algorithm.params());
+};
+
+// Exports
+module.exports = {
+  registerAlgorithm,
+  identifyAlgorithm,
+  hashPassword,
+  verifyPassword,
+  passwordNeedsRehash
+};
@@ -0,0 +1,780 @@
+/**
+ * @file src/lib/password-strength.js
+ *
+ * Estimates how many guesses an attacker would need to crack a password, in
+ * the style of Dropbox's zxcvbn. The password is broken into the patterns an
+ * attacker would try first - common passwords and words, keyboard walks,
+ * repeats, sequences and dates - and the cheapest way of covering the whole
+ * password with those patterns gives the estimate.
+ */
+
+// Imports
+const path = require('path');
+const fs = require('fs');
+
+// Scores are given for passwords needing at least this many guesses.
+const scoreThresholds = [1e3, 1e6, 1e8, 1e10];
+
+// Each unmatched character is assumed to cost this many guesses.
+const bruteforceCardinality = 10;
+
+// Matches covering one character, or more, cost at least this many guesses.
+const minSingleGuesses = 10;
+const minMultipleGuesses = 50;
+
+// The cost of each additional pattern an attacker must combine.
+const minGuessesPerPattern = 10000;
+
+// Years are guessed outwards from this year.
+const referenceYear = new Date().getFullYear();
+const minYearSpace = 20;
+
+// Dictionary matches longer than this are not looked for.
+const maxWordLength = 32;
+
+// Only this many characters of a password are estimated, as the time taken
+// grows with the cube of the length. The rest can only add guesses.
+const maxEstimatedLength = 64;
+
+/**
+ * Loads a word list from our data directory.
+ *
+ * @param {string} name The list's file name.
+ * @return {Map<string, number>} Each word's rank, keyed by the word.
+ */
+const loadWordList = name => {
+  const ranks = new Map();
+  fs.readFileSync(path.join(__dirname, '..', 'data', name), 'utf8')
+    .split(/\r?\n/)
+    .map(word => word.trim().toLowerCase())
+    .filter(word => word.length > 0 && !word.startsWith('#'))
+    .forEach(word => {
+      if (!ranks.has(word)) {
+        ranks.set(word, ranks.size + 1);
+      }
+    });
+
+  return ranks;
+};
+
+// Our dictionaries, ranked from most to least common.
+const dictionaries = {
+  passwords: loadWordList('common-passwords.txt'),
+  words: loadWordList('common-words.txt')
+};
+
+// Characters commonly substituted for letters. Some characters stand in for
+// more than one letter, so each is tried in turn.
+// prettier-ignore
+const l33tTables = [
+  {
+    '4': 'a', '@': 'a', '8': 'b', '(': 'c', '{': 'c', '3': 'e', '6': 'g',
+    '1': 'i', '!': 'i', '|': 'i', '0': 'o', '$': 's', '5': 's', '7': 't',
+    '+': 't', '%': 'x', '2': 'z'
+  },
+  { '1': 'l', '|': 'l', '7': 'l', '9': 'g', '[': 'c', '<': 'c' }
+];
+
+// The rows of a QWERTY keyboard, unshifted and shifted.
+const keyboardRows = [
+  ['`1234567890-=', '~!@#$%^&*()_+'],
+  ['qwertyuiop[]\\', 'QWERTYUIOP{}|'],
+  ["asdfghjkl;'", 'ASDFGHJKL:"'],
+  ['zxcvbnm,./', 'ZXCVBNM<>?']
+];
+
+// How far each row starts from the left edge of the keyboard, in key widths.
+const keyboardRowOffsets = [0, 1.5, 1.75, 2.25];
+
+// The position of every key on the keyboard, and whether it needs shift.
+const keyPositions = new Map();
+keyboardRows.forEach(([unshifted, shifted], row) => {
+  [...unshifted].forEach((key, column) => {
+    const x = keyboardRowOffsets[row] + column;
+    keyPositions.set(key, { row, x, shifted: false });
+    keyPositions.set(shifted[column], { row, x, shifted: true });
+  });
+});
+
+// The keyboard as a graph: each key's neighbours, and the direction to each.
+// Keys in the rows above and below are neighbours where they overlap, so most
+// keys have two neighbours in each of those rows.
+const keyNeighbours = new Map();
+keyPositions.forEach((a, from) => {
+  const neighbours = new Map();
+  keyPositions.forEach((b, to) => {
+    const rows = b.row - a.row;
+    const offset = b.x - a.x;
+    if (rows === 0 && Math.abs(offset) === 1) {
+      neighbours.set(to, offset < 0 ? 'left' : 'right');
+    } else if (Math.abs(rows) === 1 && Math.abs(offset) < 1) {
+      const vertical = rows < 0 ? 'up' : 'down';
+      neighbours.set(to, `${vertical}-${offset < 0 ? 'left' : 'right'}`);
+    }
+  });
+  keyNeighbours.set(from, neighbours);
+});
+
+// The number of keys, and the average number of neighbours each key has
+// without changing shift.
+const keyboardStartingPositions = keyPositions.size / 2;
+const keyboardAverageDegree =
+  [...keyNeighbours].reduce(
+    (total, [from, neighbours]) =>
+      total +
+      [...neighbours.keys()].filter(
+        to => keyPositions.get(to).shifted === keyPositions.get(from).shifted
+      ).length,
+    0
+  ) / keyPositions.size;
+
+/**
+ * Gets the direction from one key to a neighbouring key.
+ *
+ * @param {string} from The first key.
+ * @param {string} to The second key.
+ * @return {string} The direction, or null if the keys are not neighbours.
+ */
+const getKeyDirection = (from, to) => {
+  const neighbours = keyNeighbours.get(from);
+  return (neighbours && neighbours.get(to)) || null;
+};
+
+/**
+ * Counts the ways of choosing k items from n.
+ *
+ * @param {number} n
+ * @param {number} k
+ * @return {number}
+ */
+const choose = (n, k) => {
+  if (k > n) {
+    return 0;
+  }
+
+  let result = 1;
+  for (let i = 1; i <= k; i++) {
+    result = (result * (n - k + i)) / i;
+  }
+
+  return result;
+};
+
+/**
+ * Counts the ways a word's letters could have been capitalized, given how
+ * many capitals it has. Capitalizing the first letter, the last letter, or
+ * every letter only doubles the guesses.
+ *
+ * @param {string} token The word as it appears in the password.
+ * @return {number}
+ */
+const getUppercaseVariations = token => {
+  if (token === token.toLowerCase()) {
+    return 1;
+  }
+
+  if (/^[A-Z][^A-Z]+$/.test(token) || /^[^A-Z]+[A-Z]$/.test(token)) {
+    return 2;
+  }
+
+  if (token === token.toUpperCase()) {
+    return 2;
+  }
+
+  const uppers = [...token].filter(c => /[A-Z]/.test(c)).length;
+  const lowers = [...token].filter(c => /[a-z]/.test(c)).length;
+  let variations = 0;
+  for (let i = 1; i <= Math.min(uppers, lowers); i++) {
+    variations += choose(uppers + lowers, i);
+  }
+
+  return variations;
+};
+
+/**
+ * Finds common passwords, common words, and the user's own details in a
+ * password, including reversed words and words with letters substituted.
+ *
+ * @param {string} password
+ * @param {Map<string, number>} userWords The user's own details, ranked.
+ * @return {object[]} The matches found.
+ */
+const matchDictionaries = (password, userWords) => {
+  const matches = [];
+  const lower = password.toLowerCase();
+  const reversed = [...lower].reverse().join('');
+  const ranked = Object.assign({ user: userWords }, dictionaries);
+
+  // Each form of the password to look for words in.
+  const forms = [{ text: lower, reversed: false, l33t: false }];
+  forms.push({ text: reversed, reversed: true, l33t: false });
+  l33tTables.forEach(table => {
+    const text = [...lower].map(c => table[c] || c).join('');
+    if (text !== lower) {
+      forms.push({ text, reversed: false, l33t: true });
+    }
+  });
+
+  forms.forEach(form => {
+    for (let i = 0; i < form.text.length; i++) {
+      const end = Math.min(form.text.length, i + maxWordLength);
+      for (let j = i + 2; j < end; j++) {
+        const word = form.text.slice(i, j + 1);
+        Object.keys(ranked).forEach(dictionary => {
+          const rank = ranked[dictionary].get(word);
+          if (!rank) {
+            return;
+          }
+
+          // Reversed matches are mapped back onto the original password.
+          const start = form.reversed ? password.length - 1 - j : i;
+          const finish = form.reversed ? password.length - 1 - i : j;
+          const token = password.slice(start, finish + 1);
+          const substitutions = form.l33t
+            ? [...token].filter((c, k) => c.toLowerCase() !== word[k]).length
+            : 0;
+
+          // A substituted match only counts if something was substituted.
+          if (form.l33t && substitutions === 0) {
+            return;
+          }
+
+          matches.push({
+            pattern: 'dictionary',
+            dictionary,
+            i: start,
+            j: finish,
+            token,
+            reversed: form.reversed,
+            l33t: form.l33t,
+            uppercase: token !== token.toLowerCase(),
+            guesses:
+              rank *
+              getUppercaseVariations(token) *
+              Math.pow(2, substitutions) *
+              (form.reversed ? 2 : 1)
+          });
+        });
+      }
+    }
+  });
+
+  return matches;
+};
+
+/**
+ * Counts the guesses needed for a keyboard walk of a given length and number
+ * of turns, trying shorter walks and walks with fewer turns first.
+ *
+ * @param {number} length The number of keys in the walk.
+ * @param {number} turns The number of times the walk changes direction.
+ * @return {number}
+ */
+const getKeyboardWalkGuesses = (length, turns) => {
+  let guesses = 0;
+  for (let l = 2; l <= length; l++) {
+    for (let t = 1; t <= Math.min(turns, l - 1); t++) {
+      guesses +=
+        choose(l - 1, t - 1) *
+        keyboardStartingPositions *
+        Math.pow(keyboardAverageDegree, t);
+    }
+  }
+
+  return guesses;
+};
+
+/**
+ * Counts the ways shift could have been pressed during a keyboard walk.
+ * Pressing shift part of the way through adds a few more guesses.
+ *
+ * @param {string} token The walk as it appears in the password.
+ * @return {number}
+ */
+const getShiftVariations = token => {
+  const length = token.length;
+  const shifted = [...token].filter(c => keyPositions.get(c).shifted).length;
+  if (shifted > 0 && shifted < length) {
+    let variations = 0;
+    for (let s = 1; s <= Math.min(shifted, length - shifted); s++) {
+      variations += choose(length, s);
+    }
+    return variations;
+  }
+
+  return shifted === length ? 2 : 1;
+};
+
+/**
+ * Finds keyboard walks, such as 'qwerty' or 'zaq1xsw2', in a password.
+ * Walks which break off only to start again from the next key over in the
+ * same shape, such as '1qaz2wsx' or 'qwertyuiopasdf', are also matched as a
+ * whole.
+ *
+ * @param {string} password
+ * @return {object[]} The matches found.
+ */
+const matchKeyboardWalks = password => {
+  const walks = [];
+
+  let i = 0;
+  while (i < password.length - 1) {
+    let j = i;
+    let turns = 0;
+    const directions = [];
+    while (j < password.length - 1) {
+      const direction = getKeyDirection(password[j], password[j + 1]);
+      if (!direction) {
+        break;
+      }
+
+      if (direction !== directions[directions.length - 1]) {
+        turns++;
+        directions.push(direction);
+      }
+      j++;
+    }
+
+    if (j - i + 1 >= 3) {
+      const token = password.slice(i, j + 1);
+      walks.push({ i, j, token, turns, shape: directions.join(' ') });
+      i = j;
+    } else {
+      i++;
+    }
+  }
+
+  const matches = walks.map(({ i, j, token, turns }) => ({
+    pattern: 'keyboard',
+    i,
+    j,
+    token,
+    turns,
+    guesses:
+      getKeyboardWalkGuesses(token.length, turns) * getShiftVariations(token)
+  }));
+
+  // Each time a walk starts again, an attacker only has to guess which
+  // neighbouring key it starts from.
+  let first = 0;
+  for (let k = 1; k <= walks.length; k++) {
+    const previous = walks[k - 1];
+    const next = walks[k];
+    if (
+      next &&
+      next.i === previous.j + 1 &&
+      next.shape === previous.shape &&
+      getKeyDirection(previous.token[0], next.token[0])
+    ) {
+      continue;
+    }
+
+    if (k - first > 1) {
+      const start = walks[first];
+      const token = password.slice(start.i, previous.j + 1);
+      matches.push({
+        pattern: 'keyboard',
+        i: start.i,
+        j: previous.j,
+        token,
+        turns: walks
+          .slice(first, k)
+          .reduce((total, walk) => total + walk.turns, 0),
+        guesses:
+          getKeyboardWalkGuesses(start.token.length, start.turns) *
+          Math.pow(keyboardAverageDegree, k - first - 1) *
+          getShiftVariations(token)
+      });
+    }
+    first = k;
+  }
+
+  return matches;
+};
+
+/**
+ * Finds repeated characters and strings, such as 'aaa' or 'abcabc', in a
+ * password.
+ *
+ * @param {string} password
+ * @param {Map<string, number>} userWords The user's own details, ranked.
+ * @return {object[]} The matches found.
+ */
+const matchRepeats = (password, userWords) => {
+  const matches = [];
+  const greedy = /(.+)\1+/g;
+  const lazy = /(.+?)\1+/g;
+
+  let match = null;
+  while ((match = greedy.exec(password)) !== null) {
+    lazy.lastIndex = match.index;
+    const lazyMatch = lazy.exec(password);
+
+    // Prefer the shortest repeated unit when the greedy match is the same
+    // length, so that 'aaaa' repeats 'a' rather than 'aa'.
+    const unit =
+      lazyMatch && lazyMatch[0].length >= match[0].length
+        ? lazyMatch[1]
+        : match[1];
+    const token = match[0];
+    const count = token.length / unit.length;
+
+    matches.push({
+      pattern: 'repeat',
+      i: match.index,
+      j: match.index + token.length - 1,
+      token,
+      unit,
+      guesses: estimateGuesses(unit, userWords).guesses * count
+    });
+  }
+
+  return matches;
+};
+
+/**
+ * Finds sequences of letters or digits, such as 'abcd' or '9753', in a
+ * password.
+ *
+ * @param {string} password
+ * @return {object[]} The matches found.
+ */
+const matchSequences = password => {
+  const matches = [];
+
+  const addMatch = (i, j, delta) => {
+    if (j - i + 1 < 3 || Math.abs(delta) > 5 || delta === 0) {
+      return;
+    }
+
+    const token = password.slice(i, j + 1);
+    let base = 26;
+    if (/^[0-9]+$/.test(token)) {
+      base = 10;
+    } else if (!/^[a-z]+$/.test(token)) {
+      base = 26 * 2;
+    }
+
+    // Obvious starting points, such as 'a' or '1', are tried first.
+    if ('aAzZ019'.includes(token[0])) {
+      base = 4;
+    }
+
+    matches.push({
+      pattern: 'sequence',
+      i,
+      j,
+      token,
+      descending: delta < 0,
+      guesses: base * token.length * (delta < 0 ? 2 : 1)
+    });
+  };
+
+  let i = 0;
+  let delta = null;
+  for (let k = 1; k < password.length; k++) {
+    const next = password.charCodeAt(k) - password.charCodeAt(k - 1);
+    if (delta === null) {
+      delta = next;
+    } else if (next !== delta) {
+      addMatch(i, k - 1, delta);
+      i = k - 1;
+      delta = next;
+    }
+  }
+  if (delta !== null) {
+    addMatch(i, password.length - 1, delta);
+  }
+
+  return matches;
+};
+
+/**
+ * Finds years and dates, such as '1987' or '13/05/87', in a password.
+ *
+ * @param {string} password
+ * @return {object[]} The matches found.
+ */
+const matchDates = password => {
+  const matches = [];
+
+  const yearSpace = year => {
+    const fullYear = year < 100 ? (year > 50 ? 1900 : 2000) + year : year;
+    return Math.max(Math.abs(fullYear - referenceYear), minYearSpace);
+  };
+
+  const isDate = (day, month) =>
+    (day >= 1 && day <= 31 && month >= 1 && month <= 12) ||
+    (month >= 1 && month <= 31 && day >= 1 && day <= 12);
+
+  const patterns = [
+    // Years on their own.
+    {
+      regex: /^(19\d\d|20\d\d)$/,
+      check: () => true,
+      guesses: m => yearSpace(parseInt(m[1]))
+    },
+    // Day and month, then year.
+    {
+      regex: /^(\d{1,2})([\s/._-]?)(\d{1,2})\2(\d{4}|\d{2})$/,
+      check: m => isDate(parseInt(m[1]), parseInt(m[3])),
+      guesses: m => 365 * yearSpace(parseInt(m[4])) * (m[2] ? 4 : 1)
+    },
+    // Year, then month and day.
+    {
+      regex: /^(\d{4})([\s/._-]?)(\d{1,2})\2(\d{1,2})$/,
+      check: m => isDate(parseInt(m[4]), parseInt(m[3])),
+      guesses: m => 365 * yearSpace(parseInt(m[1])) * (m[2] ? 4 : 1)
+    }
+  ];
+
+  for (let i = 0; i < password.length; i++) {
+    for (let j = i + 3; j < Math.min(password.length, i + 10); j++) {
+      const token = password.slice(i, j + 1);
+      patterns.forEach((pattern, index) => {
+        const match = pattern.regex.exec(token);
+        if (match && pattern.check(match)) {
+          matches.push({
+            pattern: index === 0 ? 'year' : 'date',
+            i,
+            j,
+            token,
+            guesses: pattern.guesses(match)
+          });
+        }
+      });
+    }
+  }
+
+  return matches;
+};
+
+/**
+ * Finds the sequence of patterns covering a password which needs the fewest
+ * guesses. Characters not covered by any pattern are guessed by brute force.
+ *
+ * @param {string} password
+ * @param {Map<string, number>} userWords The user's own details, ranked.
+ * @return {{ guesses: number, sequence: object[] }} The estimate.
+ */
+const estimateGuesses = (password, userWords) => {
+  const n = password.length;
+  if (n === 0) {
+    return { guesses: 1, sequence: [] };
+  }
+
+  // The matches ending at each position in the password.
+  const matchesEndingAt = Array.from({ length: n }, () => []);
+  const addMatch = match => {
+    const minimum = match.j === match.i ? minSingleGuesses : minMultipleGuesses;
+    match.guesses = Math.max(match.guesses, minimum);
+    matchesEndingAt[match.j].push(match);
+  };
+
+  [
+    ...matchDictionaries(password, userWords),
+    ...matchKeyboardWalks(password),
+    ...(n > 1 ? matchRepeats(password, userWords) : []),
+    ...matchSequences(password),
+    ...matchDates(password)
+  ].forEach(addMatch);
+
+  for (let i = 0; i < n; i++) {
+    for (let j = i; j < n; j++) {
+      addMatch({
+        pattern: 'bruteforce',
+        i,
+        j,
+        token: password.slice(i, j + 1),
+        guesses: Math.pow(bruteforceCardinality, j - i + 1)
+      });
+    }
+  }
+
+  // best[k][l] is the cheapest way of covering the first k + 1 characters
+  // with l patterns, as the product of their guesses.
+  const best = Array.from({ length: n }, () => new Map());
+  for (let k = 0; k < n; k++) {
+    matchesEndingAt[k].forEach(match => {
+      if (match.i === 0) {
+        const current = best[k].get(1);
+        if (!current || match.guesses < current.product) {
+          best[k].set(1, { product: match.guesses, match, previous: null });
+        }
+        return;
+      }
+
+      best[match.i - 1].forEach((entry, l) => {
+        const product = entry.product * match.guesses;
+        const current = best[k].get(l + 1);
+        if (!current || product < current.product) {
+          best[k].set(l + 1, { product, match, previous: entry });
+        }
+      });
+    });
+  }
+
+  // Combining more patterns costs an attacker more, both in the order they
+  // could appear and in the number of combinations to try.
+  let factorial = 1;
+  let guesses = Infinity;
+  let last = null;
+  for (let l = 1; l <= n; l++) {
+    factorial *= l;
+    const entry = best[n - 1].get(l);
+    if (entry) {
+      const total =
+        factorial * entry.product + Math.pow(minGuessesPerPattern, l - 1);
+      if (total < guesses) {
+        guesses = total;
+        last = entry;
+      }
+    }
+  }
+
+  const sequence = [];
+  for (let entry = last; entry; entry = entry.previous) {
+    sequence.unshift(entry.match);
+  }
+
+  return { guesses, sequence };
+};
+
+/**
+ * Builds a dictionary of the user's own details, so that passwords based on
+ * their email address or name are caught.
+ *
+ * @param {string[]} userInputs The user's details, such as their email.
+ * @return {Map<string, number>} Each word's rank, keyed by the word.
+ */
+const buildUserDictionary = userInputs => {
+  const words = new Map();
+  (userInputs || [])
+    .filter(input => typeof input === 'string')
+    .forEach(input => {
+      const lower = input.toLowerCase();
+      [lower, ...lower.split(/[^a-z0-9]+/)]
+        .filter(word => word.length >= 3)
+        .forEach(word => {
+          if (!words.has(word)) {
+            words.set(word, words.size + 1);
+          }
+        });
+    });
+
+  return words;
+};
+
+/**
+ * Builds feedback for a weak password from the weakest-looking pattern in
+ * its estimate.
+ *
+ * @param {object[]} sequence The patterns covering the password.
+ * @param {string} password
+ * @return {{ warning: string, suggestions: string[] }} The feedback.
+ */
+const getFeedback = (sequence, password) => {
+  const suggestions = ['Add another word or two. Uncommon words are better.'];
+
+  // Give feedback on the longest pattern which isn't just random characters.
+  const match = sequence
+    .filter(m => m.pattern !== 'bruteforce')
+    .sort((a, b) => b.token.length - a.token.length)[0];
+  if (!match) {
+    return { warning: '', suggestions };
+  }
+
+  const whole = match.token.length === password.length;
+  let warning = '';
+  switch (match.pattern) {
+    case 'dictionary':
+      if (match.dictionary === 'user') {
+        warning =
+          'Passwords based on your email address or name are easy to guess.';
+      } else if (match.dictionary === 'passwords') {
+        warning = whole
+          ? 'This is similar to a commonly used password.'
+          : 'This contains a commonly used password.';
+      } else {
+        warning = whole
+          ? 'A word by itself is easy to guess.'
+          : 'Common words are easy to guess.';
+      }
+
+      if (match.token === match.token.toUpperCase() && match.uppercase) {
+        suggestions.push(
+          'All-uppercase is almost as easy to guess as all-lowercase.'
+        );
+      } else if (match.uppercase) {
+        suggestions.push(`Capitalization doesn't help very much.`);
+      }
+      if (match.reversed) {
+        suggestions.push(`Reversed words aren't much harder to guess.`);
+      }
+      if (match.l33t) {
+        suggestions.push(
+          `Predictable substitutions like '@' instead of 'a' don't help very much.`
+        );
+      }
+      break;
+    case 'keyboard':
+      warning =
+        match.turns === 1
+          ? 'Straight rows of keys are easy to guess.'
+          : 'Short keyboard patterns are easy to guess.';
+      suggestions.push('Use a longer keyboard pattern with more turns.');
+      break;
+    case 'repeat':
+      warning =
+        match.unit.length === 1
+          ? `Repeats like 'aaa' are easy to guess.`
+          : `Repeats like 'abcabcabc' are only slightly harder to guess than 'abc'.`;
+      suggestions.push('Avoid repeated words and characters.');
+      break;
+    case 'sequence':
+      warning = `Sequences like 'abc' or '6543' are easy to guess.`;
+      suggestions.push('Avoid sequences.');
+      break;
+    case 'year':
+      warning = 'Recent years are easy to guess.';
+      suggestions.push('Avoid recent years, and years associated with you.');
+      break;
+    case 'date':
+      warning = 'Dates are often easy to guess.';
+      suggestions.push('Avoid dates and years associated with you.');
+      break;
+  }
+
+  return { warning, suggestions };
+};
+
+/**
+ * Estimates the strength of a password.
+ *
+ * @param {string} password The password to estimate.
+ * @param {string[]} userInputs The user's details, such as their email
+ * address and name, which should not be used in their password.
+ * @return {{ score: number, guessesLog10: number, feedback: object }} The
+ * password's score from 0 (weakest) to 4 (strongest), the estimated number of
+ * guesses needed to crack it, and feedback for improving it.
+ */
+const estimatePasswordStrength = (password, userInputs = []) => {
+  const estimated = password.slice(0, maxEstimatedLength);
+  const { guesses, sequence } = estimateGuesses(
+    estimated,
+    buildUserDictionary(userInputs)
+  );
+  const score = scoreThresholds.filter(threshold => guesses >= threshold)
+    .length;
+
+  return {
+    score,
+    guessesLog10: Math.log10(guesses),
+    feedback: getFeedback(sequence, estimated)
+  };
+};
+
+// Exports
+module.exports = {
+  estimatePasswordStrength
+};
@@ -0,0 +1,93 @@
+/**
+ * @file src/lib/profile.js
+ *
+ * The fields which make up a user's profile. This is the one place where
+ * profile fields are declared: the user model's schema, the profile
+ * endpoints and their validation are all built from the fields below. To
+ * add a profile field, add it here.
+ */
+
+// Imports
+const validate = require('./validate');
+
+// The profile fields. Each field has:
+//
+// - 'type': The field's Mongoose schema type.
+// - 'default': The field's default value, if it has one.
+// - 'validate': A function taking the field's value, and returning a
+//   '[field, message]' error if it is invalid, or null.
+// - 'required': Whether or not the field can be cleared by setting it to
+//   null.
+const profileFields = {
+  firstName: { type: String, validate: validate.firstName },
+  lastName: { type: String, validate: validate.lastName },
+  displayName: { type: String, validate: validate.displayName },
+  timezone: {
+    type: String,
+    default: 'UTC',
+    required: true,
+    validate: validate.timezone
+  }
+};
+
+/**
+ * Builds the Mongoose schema definition for the profile fields.
+ *
+ * @return {object} The schema definition.
+ */
+const createProfileSchema = () => {
+  const definition = {};
+  Object.keys(profileFields).forEach(name => {
+    const { type } = profileFields[name];
+    definition[name] = { type, default: profileFields[name].default };
+  });
+
+  return definition;
+};
+
+/**
+ * Validates a set of changes to a profile. Fields which are not required can
+ * be cleared by setting them to null.
+ *
+ * @param {object} changes The changes to be made, keyed by field name.
+ * @return {string[][]} The '[field, message]' errors found, if any.
+ */
+const validateProfileChanges = changes =>
+  Object.keys(changes)
+    .map(name => {
+      if (!Object.prototype.hasOwnProperty.call(profileFields, name)) {
+        return [name, 'This field cannot be changed.'];
+      }
+
+      const field = profileFields[name];
+      if (changes[name] === null && field.required !== true) {
+        return null;
+      }
+
+      return field.validate(changes[name]);
+    })
+    .filter(err => !!err);
+
+/**
+ * Gets the profile fields from a user, with any unset fields as null.
+ *
+ * @param {object} profile The user's profile subdocument.
+ * @return {object} The profile, keyed by field name.
+ */
+const getProfile = (profile = {}) => {
+  const result = {};
+  Object.keys(profileFields).forEach(name => {
+    const value = profile[name];
+    result[name] = typeof value === 'undefined' ? null : value;
+  });
+
+  return result;
+};
+
+// Exports
+module.exports = {
+  profileFields,
+  createProfileSchema,
+  validateProfileChanges,
+  getProfile
+};
@@ -0,0 +1,202 @@
+/**
+ * @file src/lib/rate-limit.js
+ *
+ * Route middleware and stores for limiting how often a client can make
+ * requests.
+ */
+
+// Imports
+const rateLimitModel = require('../models/rate-limit');
+const { raiseError } = require('./error');
+const { getIpAddress } = require('./ip');
+
+/**
+ * Creates a store which keeps request counters in memory. Counters are not
+ * shared between instances of the server.
+ *
+ * @return {object} The memory store.
+ */
+const createMemoryStore = () => {
+  const counters = new Map();
+
+  // Periodically sweep out expired counters.
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    counters.forEach((counter, key) => {
+      if (counter.expiresAt <= now) {
+        counters.delete(key);
+      }
+    });
+  }, 1000 * 60);
+  sweep.unref();
+
+  return {
+    increment: async (key, ttl) => {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.expiresAt <= now) {
+        counter = { count: 0, expiresAt: now + ttl };
+        counters.set(key, counter);
+      }
+
+      return ++counter.count;
+    },
+    get: async key => {
+      const counter = counters.get(key);
+      return counter && counter.expiresAt > Date.now() ? counter.count : 0;
+    }
+  };
+};
+
+/**
+ * Creates a store which keeps request counters in the database, so that
+ * they are shared between instances of the server.
+ *
+ * @return {object} The MongoDB store.
+ */
+const createMongoStore = () => ({
+  increment: async (key, ttl) => {
+    const increment = () =>
+      rateLimitModel.findOneAndUpdate(
+        { key },
+        {
+          $inc: { count: 1 },
+          $setOnInsert: { expiresAt: new Date(Date.now() + ttl) }
+        },
+        { new: true, upsert: true }
+      );
+
+    // When two first requests race, one upsert loses to the other's insert
+    // on the unique key. By then the counter exists, so try again once.
+    let counter = null;
+    try {
+      counter = await increment();
+    } catch (err) {
+      if (err.code !== 11000) {
+        throw err;
+      }
+
+      counter = await increment();
+    }
+
+    return counter.count;
+  },
+  get: async key => {
+    const counter = await rateLimitModel.findOne({ key });
+    return counter ? counter.count : 0;
+  }
+});
+
+// The store shared by our rate limiters, as chosen in the environment.
+let defaultStore = null;
+const getDefaultStore = () => {
+  if (!defaultStore) {
+    defaultStore =
+      process.env.RATE_LIMIT_STORE === 'mongo'
+        ? createMongoStore()
+        : createMemoryStore();
+  }
+
+  return defaultStore;
+};
+
+// Functions for getting the value a limit is keyed by from a request.
+const keyGetters = {
+  ip: req => getIpAddress(req),
+  account: req => {
+    if (req.login) {
+      return req.login.id;
+    }
+
+    const { emailAddress } = req.body || {};
+    return typeof emailAddress === 'string' && emailAddress.length > 0
+      ? emailAddress.toLowerCase()
+      : null;
+  }
+};
+
+// Default options for our rate limiters.
+const rateLimitDefaults = {
+  by: 'ip',
+  windowMs: 1000 * 60 * 15,
+  max: 100,
+  store: null
+};
+
+/**
+ * Creates an Express middleware function which limits how many requests
+ * can be made to a route within a sliding window of time.
+ *
+ * The window is approximated by weighting the previous fixed window's count
+ * by how much of it still overlaps the sliding window.
+ *
+ * @param {object} options Options for configuring the limit.
+ * @param {string} options.name The name of the route being limited.
+ * @param {'ip' | 'account'} options.by What the limit is keyed by.
+ * @param {number} options.windowMs The length of the window, in milliseconds.
+ * @param {number} options.max The number of requests allowed per window.
+ * @param {object} options.store The store to keep counters in.
+ * @return {function} The middleware function.
+ */
+const rateLimit = options => {
+  options = { ...rateLimitDefaults, ...options };
+  const { name, by, windowMs, max } = options;
+
+  if (!keyGetters[by]) {
+    throw new Error(`Rate limit '${name}' has an unknown key type: '${by}'.`);
+  }
+
+  return (req, res, next) => {
+    // Requests which cannot be keyed, such as an account limit on a request
+    // with no account, are not limited.
+    const value = keyGetters[by](req);
+    if (!value) {
+      return next();
+    }
+
+    const store = options.store || getDefaultStore();
+    const now = Date.now();
+    const window = Math.floor(now / windowMs);
+    const elapsed = (now % windowMs) / windowMs;
+    const key = `${name}:${by}:${value}`;
+
+    Promise.all([
+      store.increment(`${key}:${window}`, windowMs * 2),
+      store.get(`${key}:${window - 1}`)
+    ])
+      .then(([current, previous]) => {
+        const count = Math.floor(previous * (1 - elapsed) + current);
+        const remaining = Math.max(0, max - count);
+        const reset = Math.ceil((windowMs - (now % windowMs)) / 1000);
+
+        // When more than one limit applies to a route, report on whichever
+        // is closest to being reached.
+        const reported = res.getHeader('RateLimit-Remaining');
+        if (
+          typeof reported === 'undefined' ||
+          remaining <= parseInt(reported)
+        ) {
+          res.set('RateLimit-Limit', max.toString());
+          res.set('RateLimit-Remaining', remaining.toString());
+          res.set('RateLimit-Reset', reset.toString());
+        }
+
+        if (count > max) {
+          res.set('Retry-After', reset.toString());
+          return res
+            .status(429)
+            .json(raiseError(429, 'Too many requests. Try again later.'));
+        }
+
+        return next();
+      })
+      .catch(next);
+  };
+};
+
+// Exports
+module.exports = {
+  rateLimit,
+  createMemoryStore,
+  createMongoStore
+};
@@ -0,0 +1,159 @@
+/**
+ * @file src/lib/roles.js
+ *
+ * The roles which can be given to users, and the permissions each role
+ * grants. Custom roles can be added, and the built-in roles extended, with a
+ * JSON file named by the 'ROLES_FILE' environment variable:
+ *
+ *   {
+ *     "moderator": { "inherits": ["user"], "permissions": ["users.read"] },
+ *     "auditor": ["audit.read"]
+ *   }
+ *
+ * A role is either a list of permissions, or an object with a list of
+ * permissions and a list of roles whose permissions it inherits.
+ * Permissions are named '<resource>.<action>'. '*' grants every permission,
+ * and '<resource>.*' grants every action on a resource.
+ */
+
+// Imports
+const fs = require('fs');
+const path = require('path');
+
+// Our built-in roles.
+const builtInRoles = {
+  user: { permissions: [] },
+  support: {
+    inherits: ['user'],
+    permissions: [
+      'users.read',
+      'users.verify',
+      'users.unlock',
+      'users.reset-password',
+      'audit.read',
+      'emails.read'
+    ]
+  },
+  admin: { inherits: ['support'], permissions: ['*'] }
+};
+
+// The role given to new users.
+const defaultRole = 'user';
+
+/**
+ * Loads the custom roles from the file named by 'ROLES_FILE', if any.
+ *
+ * @return {object} The custom roles, keyed by name.
+ */
+const loadCustomRoles = () => {
+  const file = process.env.ROLES_FILE;
+  if (!file) {
+    return {};
+  }
+
+  const roles = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  if (roles === null || typeof roles !== 'object' || Array.isArray(roles)) {
+    throw new Error(`The roles file, '${file}', must contain a JSON object.`);
+  }
+
+  return roles;
+};
+
+/**
+ * Normalizes a role's definition into an object with 'inherits' and
+ * 'permissions' lists.
+ *
+ * @param {string[] | object} role The role's definition.
+ * @return {{ inherits: string[], permissions: string[] }} The normalized role.
+ */
+const normalizeRole = role =>
+  Array.isArray(role)
+    ? { inherits: [], permissions: role }
+    : {
+        inherits: Array.isArray(role.inherits) ? role.inherits : [],
+        permissions: Array.isArray(role.permissions) ? role.permissions : []
+      };
+
+// Every role, built-in and custom. Custom roles add to the permissions of a
+// built-in role of the same name.
+const roles = {};
+const customRoles = loadCustomRoles();
+new Set([...Object.keys(builtInRoles), ...Object.keys(customRoles)]).forEach(
+  name => {
+    const builtIn = normalizeRole(builtInRoles[name] || []);
+    const custom = normalizeRole(customRoles[name] || []);
+
+    roles[name] = {
+      inherits: [...builtIn.inherits, ...custom.inherits],
+      permissions: [...builtIn.permissions, ...custom.permissions]
+    };
+  }
+);
+
+/**
+ * Gets the names of every role.
+ *
+ * @return {string[]} The roles' names.
+ */
+const getRoleNames = () => Object.keys(roles);
+
+/**
+ * Checks whether a role exists.
+ *
+ * @param {string} name The role's name.
+ * @return {boolean} Whether or not the role exists.
+ */
+const isRole = name =>
+  typeof name === 'string' && Object.prototype.hasOwnProperty.call(roles, name);
+
+/**
+ * Gets every permission granted by the given roles, including the
+ * permissions of the roles they inherit.
+ *
+ * @param {string[]} names The roles' names.
+ * @return {Set<string>} The permissions granted.
+ */
+const getPermissions = names => {
+  const permissions = new Set();
+  const visited = new Set();
+
+  const visit = name => {
+    if (visited.has(name) || !isRole(name)) {
+      return;
+    }
+
+    visited.add(name);
+    roles[name].permissions.forEach(permission => permissions.add(permission));
+    roles[name].inherits.forEach(visit);
+  };
+
+  (names || []).forEach(visit);
+  return permissions;
+};
+
+/**
+ * Checks whether the given roles grant a permission.
+ *
+ * @param {string[]} names The roles' names.
+ * @param {string} permission The permission, such as 'users.read'.
+ * @return {boolean} Whether or not the permission is granted.
+ */
+const hasPermission = (names, permission) => {
+  const permissions = getPermissions(names);
+  const [resource] = permission.split('.');
+
+  return (
+    permissions.has('*') ||
+    permissions.has(`${resource}.*`) ||
+    permissions.has(permission)
+  );
+};
+
+// Exports
+module.exports = {
+  defaultRole,
+  getRoleNames,
+  isRole,
+  getPermissions,
+  hasPermission
+};
@@ -5,8 +5,11 @@
  */
 
 // Imports
+const path = require('path');
+const fs = require('fs');
 const nodemailer = require('nodemailer');
-const { sanitizeHtml } = require('./safe-html');
+const emailMessageModel = require('../models/email-message');
+const { render, parseFrontMatter, htmlToText } = require('./template');
 
 // Get the email transport that we are using. Set up our configuration
 // as appropriate.
@@ -44,6 +47,9 @@ switch (transportMethod) {
       secure: false
     };
     break;
+  case 'capture':
+    transportConfig = require('./mail-capture').createCaptureTransport();
+    break;
   default:
     break;
 }
@@ -54,78 +60,192 @@ const senderString = `${process.env.SITE_AUTHOR} <${process.env.EMAIL_TRANSPORT_
 // Create the email transport.
 const emailTransport = nodemailer.createTransport(transportConfig);
 
+// The directories to load email templates from. Templates in the host
+// application's own directory, if one is set, take precedence over our
+// built-in templates.
+const templateDirectories = [
+  process.env.EMAIL_TEMPLATE_DIR,
+  path.join(__dirname, '..', 'templates', 'email')
+].filter(dir => !!dir);
+
+// Loaded templates are cached, except in development mode, so that changes
+// to templates can be seen without restarting.
+const templateCache = new Map();
+
+/**
+ * Loads the source of an email template file.
+ *
+ * @param {string} file The template's file name, relative to a template directory.
+ * @return {string} The template's source, or null if it was not found.
+ */
+const loadTemplateFile = file => {
+  if (templateCache.has(file)) {
+    return templateCache.get(file);
+  }
+
+  let source = null;
+  for (const dir of templateDirectories) {
+    const templatePath = path.join(dir, file);
+    if (fs.existsSync(templatePath) === true) {
+      source = fs.readFileSync(templatePath, 'utf8');
+      break;
+    }
+  }
+
+  if (process.env.NODE_ENV !== 'development') {
+    templateCache.set(file, source);
+  }
+
+  return source;
+};
+
+/**
+ * Renders an email template file, along with its layout, if it has one.
+ *
+ * @param {string} name The template's name.
+ * @param {'html' | 'txt'} type The type of template file.
+ * @param {object} params The parameters to render the template with.
+ * @return {{ meta: object, output: string }} The template's front matter and rendered output, or null if it was not found.
+ */
+const renderTemplateFile = (name, type, params) => {
+  const source = loadTemplateFile(`${name}.${type}`);
+  if (source === null) {
+    return null;
+  }
+
+  // Plain-text templates are not HTML-escaped.
+  const options = {
+    escape: type === 'html',
+    loadPartial: partial => {
+      const partialSource = loadTemplateFile(`partials/${partial}.${type}`);
+      if (partialSource === null) {
+        throw new Error(
+          `Missing email template partial: '${partial}.${type}'.`
+        );
+      }
+
+      return partialSource;
+    }
+  };
+
+  const { meta, body } = parseFrontMatter(source);
+  let output = render(body, params, options);
+
+  // Wrap the rendered template in its layout.
+  if (meta.layout) {
+    const layout = loadTemplateFile(`layouts/${meta.layout}.${type}`);
+    if (layout !== null) {
+      output = render(layout, { ...params, body: output }, options);
+    }
+  }
+
+  return { meta, output };
+};
+
+/**
+ * Renders an email from its templates. The subject comes from the HTML
+ * template's front matter. The plain-text part comes from a '.txt' template,
+ * if there is one, or is otherwise generated from the HTML part.
+ *
+ * @param {string} name The email template's name.
+ * @param {object} params The parameters to render the email with.
+ * @return {{ subject: string, html: string, text: string }} The rendered email.
+ */
+const renderEmail = (name, params = {}) => {
+  const subjectSource = parseFrontMatter(loadTemplateFile(`${name}.html`) || '')
+    .meta.subject;
+  const subject = render(subjectSource || '', params, { escape: false });
+
+  const html = renderTemplateFile(name, 'html', { ...params, subject });
+  if (!html) {
+    throw new Error(`Missing email template: '${name}.html'.`);
+  }
+
+  const text = renderTemplateFile(name, 'txt', { ...params, subject });
+
+  return {
+    subject,
+    html: html.output,
+    text: text ? text.output : htmlToText(html.output)
+  };
+};
+
+/**
+ * Builds a link with the given query parameters.
+ *
+ * @param {string} endpoint The link's address, without a query.
+ * @param {object} query The query parameters.
+ * @return {string} The link.
+ */
+const buildLink = (endpoint, query) =>
+  `${endpoint}?${Object.keys(query)
+    .map(key => `${key}=${encodeURIComponent(query[key])}`)
+    .join('&')}`;
+
+/**
+ * Delivers an email from our outbox using our email transport.
+ *
+ * @param {object} message The email message to be delivered.
+ */
+const deliverEmail = async message => {
+  await emailTransport.sendMail({
+    from: message.from,
+    to: message.to,
+    subject: message.subject,
+    html: message.html,
+    text: message.text
+  });
+};
+
 /**
  * Creates a function for sending a templated email with specific
- * parameters.
+ * parameters. Emails are placed in our outbox with their parameters, to be
+ * rendered and delivered in the background.
  *
  * @param {object} config An object for configuring the email template.
- * @param {string} config.subject The email subject.
- * @param {string} config.body The email body template.
+ * @param {string} config.template The name of the email template.
  * @param {object} config.params Some extra parameters to bundle with the template.
- * @param {'html' | 'text'} config.bodyType The type of email body.
+ * @param {function} config.prepare Derives further parameters, such as links, from the parameters given.
  * @return {function} The email-sending function.
  */
 const createEmailFunction = config => {
-  // Get the subject, body, and body type from the given config.
-  const { subject, body } = config;
-  let { bodyType } = config;
-
-  // Make sure the body type was set to either 'html' or 'text'.
-  bodyType = bodyType === 'html' || bodyType === 'text' ? bodyType : 'html';
+  const { template, prepare } = config;
 
   /**
    * Return an async function to send our templated email.
    *
    * @param {string} email The email address to send to.
    * @param {object} params Our parameters to parse the email template with.
+   * @return {Promise<object>} The email message placed in the outbox.
    */
   return async (email, params = {}) => {
-    // Make a copy of the email subject and body for parsing.
-    let formattedSubject = subject;
-    let formattedBody = body;
-
-    // Bundle the user's email address with the template parameters.
+    // Bundle the user's email address, and any parameters that were included
+    // with the create-email function call, with the template parameters.
     params = { ...params, email };
-
-    // Also include any parameters that were included with the create-email function
-    // call.
     if (typeof config.params === 'object' && !Array.isArray(config.params)) {
       params = { ...params, ...config.params };
     }
 
-    // Make sure an object was provided before attempting to parse.
-    if (typeof params === 'object' && !Array.isArray(params)) {
-      // String variables in this case are enclosed in double curly braces.
-      // For example: Replace '{{name}}' with the parameter with the key of
-      // 'name', if one was provided.
-      //
-      // Iterate over the template parameters provided and parse our string
-      // as appropriate.
-      Object.keys(params).forEach(key => {
-        // Make sure a parameter with that key exists, and that parameter
-        // is either a string or a number before attempting to parse.
-        const paramType = typeof params[key];
-        if (paramType === 'string' || paramType === 'number') {
-          // Create a regular expression matching the key.
-          const regex = new RegExp('{{' + key + '}}', 'gi');
-
-          // Use the regular expression above to parse our subject and body.
-          formattedSubject = formattedSubject.replace(regex, params[key]);
-          formattedBody = formattedBody.replace(regex, params[key]);
-        }
-      });
+    if (typeof prepare === 'function') {
+      params = { ...params, ...prepare(params) };
     }
 
-    // Using the email transport we created above, attempt to send the
-    // formatted email.
-    await emailTransport.sendMail({
+    // Render the email now, so that a broken template fails the request
+    // rather than the delivery. Only the subject is kept.
+    const { subject } = renderEmail(template, params);
+
+    // Place the email in our outbox. The outbox worker will take care of
+    // rendering and delivering it, and of retrying if delivery fails.
+    return emailMessageModel.create({
+      template,
       from: senderString,
       to:
         typeof params['name'] === 'string' && params['name'] !== ''
           ? `${params['name']} <${email}>`
           : email,
-      subject: sanitizeHtml(formattedSubject),
-      [bodyType]: sanitizeHtml(formattedBody)
+      subject,
+      params,
+      emailAddress: email
     });
   };
 };
@@ -137,94 +257,99 @@ const endpointUriStart =
     `${process.env.SITE_FRONTEND_URI}` :
     `${process.env.SITE_URI}/api`;
 
+// Parameters bundled with every email.
+const siteParams = {
+  siteTitle: process.env.SITE_TITLE,
+  siteAuthor: process.env.SITE_AUTHOR
+};
+
+/**
+ * Sends a test email straight through our email transport, skipping the
+ * outbox, so that the email settings can be checked.
+ *
+ * @param {string} email The email address to send to.
+ */
+const sendTestEmail = async email => {
+  const params = {
+    ...siteParams,
+    email,
+    sentAt: new Date().toISOString()
+  };
+
+  await deliverEmail({
+    from: senderString,
+    to: email,
+    ...renderEmail('test', params)
+  });
+};
+
 // Exports
 module.exports = {
+  renderEmail,
+  deliverEmail,
+  sendTestEmail,
+
   verifyAccount: createEmailFunction({
-    params: {
-      siteTitle: process.env.SITE_TITLE,
-      siteAuthor: process.env.SITE_AUTHOR,
-      verifyEndpoint: `${endpointUriStart}/user/verify`
-    },
-    subject: '{{siteTitle}} - Verify New Account',
-    body: `
-      <div>
-        <h1>{{siteTitle}}</h1>
-        <p>
-          Hello, {{email}}!<br /><br />
-          Click on the following link to verify your new account:<br /><br />
-          <a href="{{verifyEndpoint}}?emailAddress={{email}}&slug={{slug}}">
-            {{verifyEndpoint}}?emailAddress={{email}}&slug={{slug}}
-          </a><br /><br />
-          - {{siteAuthor}}
-        </p>
-      </div>
-    `
+    template: 'verify-account',
+    params: siteParams,
+    prepare: ({ email, slug }) => ({
+      link: buildLink(`${endpointUriStart}/user/verify`, {
+        emailAddress: email,
+        slug
+      })
+    })
   }),
 
   verifyChangePassword: createEmailFunction({
-    params: {
-      siteTitle: process.env.SITE_TITLE,
-      siteAuthor: process.env.SITE_AUTHOR,
-      verifyEndpoint: `${endpointUriStart}/user/verify-change-password`
-    },
-    subject: '{{siteTitle}} - Verify Password Reset',
-    body: `
-      <div>
-        <h1>{{siteTitle}}</h1>
-        <p>
-          Hello, {{email}}!<br /><br />
-          Click on the following link to verify your password change:<br /><br />
-          <a href="{{verifyEndpoint}}?emailAddress={{email}}&slug={{slug}}">
-            {{verifyEndpoint}}?emailAddress={{email}}&slug={{slug}}
-          </a><br /><br />
-          - {{siteAuthor}}
-        </p>
-      </div>
-    `
+    template: 'verify-change-password',
+    params: siteParams,
+    prepare: ({ email, slug }) => ({
+      link: buildLink(`${endpointUriStart}/user/verify-change-password`, {
+        emailAddress: email,
+        slug
+      })
+    })
+  }),
+
+  magicLink: createEmailFunction({
+    template: 'magic-link',
+    params: siteParams,
+    prepare: ({ email, slug }) => ({
+      link: buildLink(`${endpointUriStart}/user/verify-magic-link`, {
+        emailAddress: email,
+        slug
+      })
+    })
   }),
 
   emailChangeRequested: createEmailFunction({
-    params: {
-      siteTitle: process.env.SITE_TITLE,
-      siteAuthor: process.env.SITE_AUTHOR
-    },
-    subject: '{{siteTitle}} - Email Change Requested',
-    body: `
-      <div>
-        <h1>{{siteTitle}}</h1>
-        <p>
-          Hello, {{email}}!<br /><br />
-          You are receiving this email because your account has requested a
-          change in its associated email address. If you made this request,
-          then you may safely ignore this email. Otherwise, please reply to
-          this email.
-          </a><br /><br />
-          - {{siteAuthor}}
-        </p>
-      </div>
-    `
+    template: 'email-change-requested',
+    params: siteParams
   }),
 
   verifyEmailChange: createEmailFunction({
-    params: {
-      siteTitle: process.env.SITE_TITLE,
-      siteAuthor: process.env.SITE_AUTHOR,
-      verifyEndpoint: `${endpointUriStart}/user/verify-change-email`
-    },
-    subject: '{{siteTitle}} - Verify Email Change',
-    body: `
-      <div>
-        <h1>{{siteTitle}}</h1>
-        <p>
-          Hello, {{email}}!<br /><br />
-          Click on the following link to verify your new email change:<br /><br />
-          <a href="{{verifyEndpoint}}?slug={{slug}}">
-            {{verifyEndpoint}}?slug={{slug}}
-          </a>
-          </a><br /><br />
-          - {{siteAuthor}}
-        </p>
-      </div>
-    `
+    template: 'verify-email-change',
+    params: siteParams,
+    prepare: ({ slug }) => ({
+      link: buildLink(`${endpointUriStart}/user/verify-change-email`, { slug })
+    })
+  }),
+
+  passwordChanged: createEmailFunction({
+    template: 'password-changed',
+    params: siteParams
+  }),
+
+  recoveryCodeUsed: createEmailFunction({
+    template: 'recovery-code-used',
+    params: siteParams
+  }),
+
+  accountLocked: createEmailFunction({
+    template: 'account-locked',
+    params: siteParams,
+    prepare: ({ token }) => ({
+      link: buildLink(`${endpointUriStart}/user/unlock`, { token })
+    })
   })
 };
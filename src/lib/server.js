@@ -11,6 +11,7 @@ const helmet = require('helmet');
 const compression = require('compression');
 const passport = require('passport');
 const forceHttps = require('./force-https');
+const { parseTrustProxy } = require('./ip');
 const { handleRouteError } = require('./error');
 const log = require('./log');
 
@@ -20,6 +21,7 @@ const log = require('./log');
 const start = () => {
   // Express and Middleware
   const app = express();
+  app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
   app.use(forceHttps);
   app.use(cors());
   app.use(helmet());
@@ -30,6 +32,23 @@ const start = () => {
 
   // API Routing
   app.use('/api/user', require('../routes/user'));
+  app.use('/api/admin', require('../routes/admin'));
+
+  // Well-Known Routing
+  app.use('/.well-known', require('../routes/well-known'));
+
+  // Development Routing
+  //
+  // Captured emails can be browsed outside of production, so that account
+  // flows can be tested without a real mail server. Likewise, a mock
+  // identity provider can stand in for a real one.
+  if (
+    process.env.NODE_ENV !== 'production' &&
+    (process.env.EMAIL_TRANSPORT_METHOD === 'capture' ||
+      process.env.OIDC_MOCK_PROVIDER === 'true')
+  ) {
+    app.use('/api/dev', require('../routes/dev'));
+  }
 
   // Handle Route Errors
   app.use(handleRouteError);
@@ -0,0 +1,382 @@
+/**
+ * @file src/lib/signing-keys.js
+ *
+ * Functions for signing and verifying our login tokens. By default, tokens
+ * are signed with 'JWT_SECRET' using HS256. Setting 'JWT_SIGNING_ALGORITHM'
+ * to RS256, ES256 or EdDSA signs them with key pairs instead, so that other
+ * services can verify our tokens with the public keys we publish, without
+ * being able to sign tokens of their own.
+ *
+ * Key pairs are rotated at regular intervals. Each new key is published
+ * at least as long before it starts signing as our public keys may be cached
+ * for, and retired keys are kept until the last tokens they signed have
+ * expired. Only one server rotates the keys at a time.
+ */
+
+// Imports
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const signingKeyModel = require('../models/signing-key');
+const lockModel = require('../models/lock');
+const log = require('./log');
+
+// How long, in milliseconds, the key set is cached for, and how soon it may
+// be reloaded when a token names a key which isn't in it.
+const cacheDuration = 1000 * 60;
+const reloadCooldown = 1000 * 5;
+
+// How long, in seconds, others may cache our public keys for.
+const publicKeyCacheAge = 60 * 10;
+
+// How often, in milliseconds, the rotation worker checks the key set.
+const rotationCheckInterval = 1000 * 60;
+
+// How long, in seconds, a server may hold the lock on rotating the keys.
+const rotationLockDuration = 60;
+
+// The cached key set, and when it was loaded.
+let cachedKeys = null;
+let loadedAt = 0;
+
+// The rotation in progress, if any.
+let rotating = null;
+
+/**
+ * Gets the algorithm login tokens are signed with.
+ *
+ * @return {string}
+ */
+const getAlgorithm = () => process.env.JWT_SIGNING_ALGORITHM;
+
+/**
+ * Checks whether login tokens are signed with key pairs.
+ *
+ * @return {boolean}
+ */
+const usesKeyPairs = () => getAlgorithm() !== 'HS256';
+
+/**
+ * Encodes a value in base64url.
+ *
+ * @param {Buffer|string} value The value to encode.
+ * @return {string}
+ */
+const base64Url = value =>
+  Buffer.from(value)
+    .toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+
+/**
+ * Loads the keys which can still verify tokens, oldest first.
+ *
+ * @param {boolean} force Reload the keys even if they are cached.
+ * @return {Promise<object[]>}
+ */
+const loadKeys = async (force = false) => {
+  if (force || !cachedKeys || Date.now() - loadedAt >= cacheDuration) {
+    cachedKeys = await signingKeyModel
+      .find({ expiresAt: { $gt: new Date() } })
+      .sort({ activatesAt: 1 });
+    loadedAt = Date.now();
+  }
+
+  return cachedKeys;
+};
+
+/**
+ * Finds the key which is currently signing tokens. Keys for our algorithm are
+ * preferred, but when the algorithm changes, the old algorithm's key signs
+ * until the new algorithm's first key is due.
+ *
+ * @param {object[]} keys The key set.
+ * @param {number} now The current time.
+ * @return {object} The newest such key, or undefined if there is none.
+ */
+const findSigningKey = (keys, now = Date.now()) => {
+  const signing = keys.filter(key => key.isSigning(now));
+  return (
+    signing.filter(key => key.algorithm === getAlgorithm()).pop() ||
+    signing.pop()
+  );
+};
+
+/**
+ * Publishes the next signing key if it is due, or a replacement for the
+ * current key if there is none for our algorithm or if forced. Replacements
+ * start signing once anyone caching our public keys will have them, and the
+ * keys signing until then carry on.
+ *
+ * @param {boolean} force Replace the current key.
+ * @return {Promise<boolean>} Whether a key was created.
+ */
+const publishSigningKey = async force => {
+  const now = Date.now();
+  const algorithm = getAlgorithm();
+  const interval = parseInt(process.env.JWT_KEY_ROTATION_INTERVAL) * 1000;
+  const leadTime = publicKeyCacheAge * 1000;
+  const prepublish = Math.max(
+    parseInt(process.env.JWT_KEY_PREPUBLISH) * 1000,
+    leadTime
+  );
+  const keys = await loadKeys(true);
+  const current = findSigningKey(keys, now);
+  const upcoming = keys.filter(
+    key => key.algorithm === algorithm && key.activatesAt.getTime() > now
+  );
+
+  if (current && current.algorithm === algorithm && !force) {
+    const retiresAt = current.retiresAt.getTime();
+    const next = upcoming.find(key => key.activatesAt.getTime() >= retiresAt);
+    if (next || retiresAt - now > prepublish) {
+      return false;
+    }
+
+    await signingKeyModel.generate(
+      algorithm,
+      current.retiresAt,
+      new Date(retiresAt + interval)
+    );
+  } else {
+    // A replacement may already be waiting to start signing.
+    if (upcoming.length > 0 && !force) {
+      return false;
+    }
+
+    // Every other key stops signing once the replacement starts, including
+    // any published ahead of time.
+    const activatesAt = now + leadTime;
+    for (const key of keys) {
+      if (key.retiresAt.getTime() > activatesAt) {
+        key.retire(activatesAt);
+        await key.save();
+      }
+    }
+
+    await signingKeyModel.generate(
+      algorithm,
+      new Date(activatesAt),
+      new Date(activatesAt + interval)
+    );
+  }
+
+  await loadKeys(true);
+  return true;
+};
+
+/**
+ * Rotates our signing keys, unless another server is already doing so.
+ *
+ * @param {boolean} force Replace the current key.
+ * @return {Promise<boolean>} Whether a key was created.
+ */
+const rotateSigningKeys = (force = false) => {
+  if (!rotating) {
+    rotating = (async () => {
+      const lock = await lockModel.acquire(
+        'signing-key-rotation',
+        rotationLockDuration
+      );
+      if (!lock) {
+        return false;
+      }
+
+      try {
+        return await publishSigningKey(force);
+      } finally {
+        await lock.release();
+      }
+    })().finally(() => {
+      rotating = null;
+    });
+  }
+
+  return rotating;
+};
+
+/**
+ * Gets the key which is currently signing tokens, creating one if needed.
+ * On first start, there is no older key to sign with until the first key is
+ * due, so that key signs early.
+ *
+ * @return {Promise<object>}
+ */
+const getSigningKey = async () => {
+  const findUsableKey = (keys, now = Date.now()) =>
+    findSigningKey(keys, now) ||
+    keys.find(
+      key => key.algorithm === getAlgorithm() && key.retiresAt.getTime() > now
+    );
+
+  let key = findUsableKey(await loadKeys());
+  if (!key) {
+    await rotateSigningKeys();
+    key = findUsableKey(await loadKeys(true));
+  }
+
+  if (!key) {
+    throw new Error('There is no key to sign login tokens with yet.');
+  }
+
+  return key;
+};
+
+/**
+ * Signs a login token.
+ *
+ * @param {object} payload The token's claims.
+ * @return {Promise<string>} The signed token.
+ */
+const signLoginToken = async payload => {
+  if (!usesKeyPairs()) {
+    return jwt.sign(payload, process.env.JWT_SECRET);
+  }
+
+  const key = await getSigningKey();
+  const privateKey = key.getPrivateKey();
+
+  // Our version of 'jsonwebtoken' can't sign with EdDSA, so those tokens are
+  // put together here.
+  if (key.algorithm === 'EdDSA') {
+    const header = { alg: 'EdDSA', typ: 'JWT', kid: key.kid };
+    const signingInput = [header, payload]
+      .map(part => base64Url(JSON.stringify(part)))
+      .join('.');
+    const signature = crypto.sign(null, Buffer.from(signingInput), privateKey);
+
+    return `${signingInput}.${base64Url(signature)}`;
+  }
+
+  return jwt.sign(payload, privateKey, {
+    algorithm: key.algorithm,
+    keyid: key.kid
+  });
+};
+
+/**
+ * Verifies an EdDSA-signed token, raising the same errors as
+ * 'jsonwebtoken' does.
+ *
+ * @param {string} token The token.
+ * @param {object} key The key which signed it.
+ * @return {object} The token's claims.
+ */
+const verifyEdDsaToken = (token, key) => {
+  const [header, payload, signature] = token.split('.');
+  const valid = crypto.verify(
+    null,
+    Buffer.from(`${header}.${payload}`),
+    key.publicKey,
+    Buffer.from(signature || '', 'base64')
+  );
+  if (!valid) {
+    throw new jwt.JsonWebTokenError('invalid signature');
+  }
+
+  const claims = JSON.parse(Buffer.from(payload, 'base64').toString());
+  if (typeof claims.exp === 'number' && Date.now() >= claims.exp * 1000) {
+    throw new jwt.TokenExpiredError('jwt expired', new Date(claims.exp * 1000));
+  }
+
+  return claims;
+};
+
+/**
+ * Verifies a login token. Tokens signed with key pairs must name their key,
+ * and are accepted for as long as that key is kept. Tokens signed with
+ * 'JWT_SECRET' are only accepted while we still sign with it.
+ *
+ * @param {string} token The token.
+ * @return {Promise<object>} The token's claims.
+ */
+const verifyLoginToken = async token => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded || !decoded.header) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const { alg, kid } = decoded.header;
+  if (alg === 'HS256' && !usesKeyPairs()) {
+    return jwt.verify(token, process.env.JWT_SECRET, {
+      algorithms: ['HS256']
+    });
+  }
+
+  if (typeof kid !== 'string') {
+    throw new jwt.JsonWebTokenError('invalid algorithm');
+  }
+
+  // A key we haven't seen may have been created by another server since the
+  // key set was cached.
+  let key = (await loadKeys()).find(key => key.kid === kid);
+  if (!key && Date.now() - loadedAt >= reloadCooldown) {
+    key = (await loadKeys(true)).find(key => key.kid === kid);
+  }
+
+  if (!key || key.expiresAt.getTime() <= Date.now()) {
+    throw new jwt.JsonWebTokenError('unknown signing key');
+  }
+
+  if (key.algorithm !== alg) {
+    throw new jwt.JsonWebTokenError('invalid algorithm');
+  }
+
+  if (key.algorithm === 'EdDSA') {
+    return verifyEdDsaToken(token, key);
+  }
+
+  return jwt.verify(token, key.publicKey, { algorithms: [key.algorithm] });
+};
+
+/**
+ * Gets the public keys which can verify our login tokens, including those
+ * published ahead of time and those retired but not yet expired.
+ *
+ * @return {Promise<{ keys: object[] }>}
+ */
+const getPublicKeySet = async () => {
+  const now = Date.now();
+  const keys = await loadKeys();
+
+  return {
+    keys: keys
+      .filter(key => key.expiresAt.getTime() > now)
+      .map(key => key.toJwk())
+  };
+};
+
+/**
+ * Starts rotating our signing keys at a regular interval. Nothing is done
+ * while login tokens are signed with 'JWT_SECRET'.
+ *
+ * @return {object} The interval's timer, or null if keys aren't used.
+ */
+const startKeyRotationWorker = () => {
+  if (!usesKeyPairs()) {
+    return null;
+  }
+
+  const check = () => {
+    rotateSigningKeys().catch(err => {
+      log.error(`Could not rotate the signing keys: ${err.stack || err}`);
+    });
+  };
+
+  check();
+  const timer = setInterval(check, rotationCheckInterval);
+
+  // Don't keep the process alive just for key rotation.
+  timer.unref();
+  return timer;
+};
+
+// Exports
+module.exports = {
+  publicKeyCacheAge,
+  rotateSigningKeys,
+  signLoginToken,
+  verifyLoginToken,
+  getPublicKeySet,
+  startKeyRotationWorker
+};
@@ -0,0 +1,320 @@
+/**
+ * @file src/lib/template.js
+ *
+ * A small template engine, used for our emails. Templates support:
+ *
+ * - '{{name}}' for HTML-escaped values, and '{{{name}}}' for raw values.
+ *   Dotted paths, such as '{{user.name}}', are allowed.
+ * - '{{#if name}}...{{else}}...{{/if}}' for conditionals.
+ * - '{{#each items}}...{{else}}...{{/each}}' for loops. Inside a loop,
+ *   '{{this}}' is the current item and '{{@index}}' is its index.
+ * - '{{> name}}' for partials.
+ * - '{{! comment }}' for comments.
+ */
+
+// Characters which must be escaped in HTML, and their entities.
+const htmlEscapes = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;',
+  '=': '&#61;'
+};
+
+// The reverse, for converting HTML to plain text.
+const htmlEntities = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+  '&#96;': '`',
+  '&#61;': '=',
+  '&nbsp;': ' '
+};
+
+// The deepest that partials may be nested, to catch partials which include
+// themselves.
+const maxPartialDepth = 10;
+
+/**
+ * Escapes a value for safe inclusion in HTML.
+ *
+ * @param {*} value The value to be escaped.
+ * @return {string} The escaped string.
+ */
+const escapeHtml = value =>
+  String(value).replace(/[&<>"'`=]/g, char => htmlEscapes[char]);
+
+/**
+ * Parses a template's source into a tree of nodes.
+ *
+ * @param {string} source The template source.
+ * @return {object[]} The template's nodes.
+ */
+const parse = source => {
+  const root = { children: [] };
+  const stack = [root];
+  const tagRegex = /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+  let lastIndex = 0;
+  let match = null;
+
+  // The list of nodes that new nodes are added to. Inside of a block with an
+  // '{{else}}', this is the block's 'otherwise' list.
+  const current = () => {
+    const top = stack[stack.length - 1];
+    return top.inElse ? top.otherwise : top.children;
+  };
+
+  while ((match = tagRegex.exec(source)) !== null) {
+    if (match.index > lastIndex) {
+      current().push({
+        type: 'text',
+        value: source.slice(lastIndex, match.index)
+      });
+    }
+    lastIndex = tagRegex.lastIndex;
+
+    // Triple braces are always a raw value.
+    if (typeof match[1] !== 'undefined') {
+      current().push({ type: 'value', path: match[1], escape: false });
+      continue;
+    }
+
+    const tag = match[2];
+    if (tag.startsWith('!')) {
+      continue;
+    } else if (tag.startsWith('#')) {
+      const [block, path] = tag.slice(1).split(/\s+/);
+      if (block !== 'if' && block !== 'each') {
+        throw new Error(`Unknown template block: '${block}'.`);
+      }
+
+      const node = { type: block, path, children: [], otherwise: [] };
+      current().push(node);
+      stack.push(node);
+    } else if (tag.startsWith('/')) {
+      const block = tag.slice(1).trim();
+      const top = stack.pop();
+      if (!top || top.type !== block) {
+        throw new Error(`Unexpected closing template block: '${block}'.`);
+      }
+    } else if (tag === 'else') {
+      const top = stack[stack.length - 1];
+      if (top === root) {
+        throw new Error(`Unexpected '{{else}}' outside of a template block.`);
+      }
+      top.inElse = true;
+    } else if (tag.startsWith('>')) {
+      current().push({ type: 'partial', name: tag.slice(1).trim() });
+    } else {
+      current().push({ type: 'value', path: tag, escape: true });
+    }
+  }
+
+  if (lastIndex < source.length) {
+    current().push({ type: 'text', value: source.slice(lastIndex) });
+  }
+
+  if (stack.length > 1) {
+    throw new Error(
+      `Unclosed template block: '${stack[stack.length - 1].type}'.`
+    );
+  }
+
+  return root.children;
+};
+
+/**
+ * Looks up a path in a stack of scopes, innermost first.
+ *
+ * @param {object[]} scopes The scopes to search.
+ * @param {string} path The path to look up.
+ * @return {*} The value found, or undefined.
+ */
+const lookup = (scopes, path) => {
+  if (path === 'this') {
+    return scopes[0].this;
+  }
+
+  const keys = path.split('.');
+  for (const scope of scopes) {
+    const base = keys[0] === 'this' ? scope.this : scope;
+    const rest = keys[0] === 'this' ? keys.slice(1) : keys;
+
+    let value = base;
+    for (const key of rest) {
+      value =
+        value !== null && typeof value === 'object' ? value[key] : undefined;
+    }
+
+    if (typeof value !== 'undefined' || keys[0] === 'this') {
+      return value;
+    }
+  }
+
+  return undefined;
+};
+
+/**
+ * Checks whether a value counts as true in a conditional. Empty arrays
+ * count as false.
+ *
+ * @param {*} value The value to check.
+ * @return {boolean} Whether the value counts as true.
+ */
+const isTruthy = value => (Array.isArray(value) ? value.length > 0 : !!value);
+
+/**
+ * Renders a list of nodes.
+ *
+ * @param {object[]} nodes The nodes to be rendered.
+ * @param {object[]} scopes The scopes to look values up in, innermost first.
+ * @param {object} options Rendering options.
+ * @param {number} depth How deeply partials are nested.
+ * @return {string} The rendered output.
+ */
+const renderNodes = (nodes, scopes, options, depth) =>
+  nodes
+    .map(node => {
+      switch (node.type) {
+        case 'text':
+          return node.value;
+        case 'value': {
+          const value = lookup(scopes, node.path);
+          if (value === null || typeof value === 'undefined') {
+            return '';
+          }
+
+          return node.escape && options.escape
+            ? escapeHtml(value)
+            : String(value);
+        }
+        case 'if':
+          return isTruthy(lookup(scopes, node.path))
+            ? renderNodes(node.children, scopes, options, depth)
+            : renderNodes(node.otherwise, scopes, options, depth);
+        case 'each': {
+          const items = lookup(scopes, node.path);
+          if (!Array.isArray(items) || items.length === 0) {
+            return renderNodes(node.otherwise, scopes, options, depth);
+          }
+
+          return items
+            .map((item, index) => {
+              const scope =
+                item !== null && typeof item === 'object'
+                  ? { ...item, this: item, '@index': index }
+                  : { this: item, '@index': index };
+
+              return renderNodes(
+                node.children,
+                [scope, ...scopes],
+                options,
+                depth
+              );
+            })
+            .join('');
+        }
+        case 'partial': {
+          if (depth >= maxPartialDepth) {
+            throw new Error(`Template partials are nested too deeply.`);
+          }
+
+          const partial = parse(options.loadPartial(node.name));
+          return renderNodes(partial, scopes, options, depth + 1);
+        }
+        default:
+          return '';
+      }
+    })
+    .join('');
+
+/**
+ * Renders a template with the given parameters.
+ *
+ * @param {string} source The template source.
+ * @param {object} params The parameters to render the template with.
+ * @param {object} options Rendering options.
+ * @param {boolean} options.escape Whether or not '{{name}}' values are HTML-escaped.
+ * @param {function} options.loadPartial Gets the source of a partial by its name.
+ * @return {string} The rendered output.
+ */
+const render = (source, params = {}, options = {}) => {
+  options = {
+    escape: true,
+    loadPartial: name => {
+      throw new Error(`No partial loader was given for partial '${name}'.`);
+    },
+    ...options
+  };
+
+  return renderNodes(parse(source), [params], options, 0);
+};
+
+/**
+ * Splits a template's front matter from its body. Front matter is a block of
+ * 'key: value' lines between two '---' lines at the top of the template.
+ *
+ * @param {string} source The template source.
+ * @return {{ meta: object, body: string }} The front matter and the body.
+ */
+const parseFrontMatter = source => {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(source);
+  if (!match) {
+    return { meta: {}, body: source };
+  }
+
+  const meta = {};
+  match[1].split(/\r?\n/).forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator !== -1) {
+      meta[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+  });
+
+  return { meta, body: source.slice(match[0].length) };
+};
+
+/**
+ * Converts HTML into readable plain text, for use as the plain-text part of
+ * an email.
+ *
+ * @param {string} html The HTML to be converted.
+ * @return {string} The plain text.
+ */
+const htmlToText = html =>
+  html
+    // Drop anything which is not meant to be read.
+    .replace(/<(head|style|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    // Collapse whitespace, as a browser would.
+    .replace(/\s+/g, ' ')
+    // Write links out as 'text (address)', or just the address when the text
+    // is the address.
+    .replace(
+      /<a\s[^>]*href\s*=\s*["']([^"']*)["'][^>]*>([\s\S]*?)<\/a>/gi,
+      (match, href, text) => {
+        const label = text.replace(/<[^>]+>/g, '').trim();
+        return !label || label === href ? href : `${label} (${href})`;
+      }
+    )
+    // Break lines and paragraphs where the HTML would.
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<\/?(p|div|h[1-6]|ul|ol|table|tr|blockquote)[^>]*>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&[a-z0-9#]+;/gi, entity => htmlEntities[entity] || entity)
+    // Tidy up the spacing left behind.
+    .replace(/[ \t]*\n[ \t]*/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+// Exports
+module.exports = {
+  escapeHtml,
+  render,
+  parseFrontMatter,
+  htmlToText
+};
@@ -0,0 +1,182 @@
+/**
+ * @file src/lib/totp.js
+ *
+ * Functions for generating and checking time-based one-time passwords
+ * (RFC 6238), for use with two-factor authentication.
+ */
+
+// Imports
+const crypto = require('crypto');
+
+// The alphabet used by base32-encoded secrets (RFC 4648).
+const base32Alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Default settings for our one-time passwords. These match the defaults
+// expected by most authenticator apps.
+const totpDefaults = {
+  digits: 6,
+  period: 30,
+  window: 1
+};
+
+/**
+ * Encodes a buffer as an unpadded base32 string.
+ *
+ * @param {Buffer} buffer The buffer to be encoded.
+ * @return {string} The base32 string.
+ */
+const base32Encode = buffer => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += base32Alphabet[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += base32Alphabet[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decodes a base32 string into a buffer. Padding, whitespace and case are
+ * ignored.
+ *
+ * @param {string} str The base32 string to be decoded.
+ * @return {Buffer} The decoded buffer.
+ */
+const base32Decode = str => {
+  const cleaned = str.toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = base32Alphabet.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: '${char}'.`);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generates a new, random base32-encoded secret.
+ *
+ * @param {number} size The size of the secret, in bytes.
+ * @return {string} The base32-encoded secret.
+ */
+const generateSecret = (size = 20) => base32Encode(crypto.randomBytes(size));
+
+/**
+ * Gets the time step counter for the given moment in time.
+ *
+ * @param {number} time The time, in milliseconds since the epoch.
+ * @return {number} The time step counter.
+ */
+const getTimeStep = (time = Date.now()) =>
+  Math.floor(time / 1000 / totpDefaults.period);
+
+/**
+ * Generates the one-time password for the given secret and time step
+ * (RFC 4226, section 5.3).
+ *
+ * @param {string} secret The base32-encoded secret.
+ * @param {number} step The time step counter.
+ * @return {string} The one-time password, zero-padded.
+ */
+const generateCode = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeUInt32BE(Math.floor(step / 0x100000000), 0);
+  counter.writeUInt32BE(step % 0x100000000, 4);
+
+  const hmac = crypto
+    .createHmac('sha1', base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return (binary % Math.pow(10, totpDefaults.digits))
+    .toString()
+    .padStart(totpDefaults.digits, '0');
+};
+
+/**
+ * Checks a submitted one-time password against the given secret, allowing
+ * for a small amount of clock drift.
+ *
+ * @param {string} secret The base32-encoded secret.
+ * @param {string} code The submitted one-time password.
+ * @return {number} The matching time step, or -1 if the code does not match.
+ */
+const checkCode = (secret, code) => {
+  if (typeof secret !== 'string' || typeof code !== 'string') {
+    return -1;
+  }
+
+  const current = getTimeStep();
+  const submitted = Buffer.from(code);
+
+  for (let i = -totpDefaults.window; i <= totpDefaults.window; ++i) {
+    const expected = Buffer.from(generateCode(secret, current + i));
+    if (
+      expected.length === submitted.length &&
+      crypto.timingSafeEqual(expected, submitted)
+    ) {
+      return current + i;
+    }
+  }
+
+  return -1;
+};
+
+/**
+ * Builds an 'otpauth://' URI which can be rendered as a QR code and scanned
+ * by an authenticator app.
+ *
+ * @param {string} secret The base32-encoded secret.
+ * @param {string} accountName The name of the account, usually an email address.
+ * @return {string} The otpauth URI.
+ */
+const createUri = (secret, accountName) => {
+  const issuer = process.env.TWO_FACTOR_ISSUER;
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const query = [
+    `secret=${secret}`,
+    `issuer=${encodeURIComponent(issuer)}`,
+    'algorithm=SHA1',
+    `digits=${totpDefaults.digits}`,
+    `period=${totpDefaults.period}`
+  ].join('&');
+
+  return `otpauth://totp/${label}?${query}`;
+};
+
+// Exports
+module.exports = {
+  generateSecret,
+  generateCode,
+  getTimeStep,
+  checkCode,
+  createUri
+};
@@ -4,6 +4,10 @@
  * Functions for validating user input.
  */
 
+// Imports
+const { estimatePasswordStrength } = require('./password-strength');
+const { isBreachedPassword } = require('./breached-passwords');
+
 // Regular expressions for use with our validation functions.
 const regex = {
   symbols: /[$-/:-?{-~!"^_`\[\]!@]/,
@@ -12,13 +16,14 @@ const regex = {
   capitals: /[A-Z]/,
   numbers: /[0-9]/,
   objectIds: /^[a-f\d]{24}$/i,
+  otpCodes: /^[0-9]{6}$/,
   emails: /^(([^<>()\[\]\\.,;:\s@"]+(\.[^<>()\[\]\\.,;:\s@"]+)*)|(".+"))@((\[[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}])|(([a-zA-Z\-0-9]+\.)+[a-zA-Z]{2,}))$/
 };
 
 // A collection of character limits.
 const limits = {
   name: { min: 1, max: 60 },
-  password: { min: 8, max: 32 }
+  password: { min: 8, max: 128 }
 };
 
 const createNameValidator = (field, which) => name => {
@@ -42,6 +47,47 @@ const createNameValidator = (field, which) => name => {
   return null;
 };
 
+const displayName = name => {
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    return ['displayName', 'Please enter your display name.'];
+  }
+
+  if (name.length < limits.name.min || name.length > limits.name.max) {
+    return [
+      'displayName',
+      `Your display name must contain between ${limits.name.min} and ${limits.name.max} characters.`
+    ];
+  }
+
+  if (/[\u0000-\u001f\u007f]/.test(name)) {
+    return [
+      'displayName',
+      'Your display name cannot contain control characters.'
+    ];
+  }
+
+  return null;
+};
+
+const timezone = zone => {
+  if (typeof zone !== 'string' || zone.length === 0) {
+    return ['timezone', 'Please choose your timezone.'];
+  }
+
+  // Only the timezones known to the runtime, such as 'Europe/London', are
+  // accepted.
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+  } catch (err) {
+    return [
+      'timezone',
+      'Your timezone must be an IANA timezone name, such as "Europe/London".'
+    ];
+  }
+
+  return null;
+};
+
 const emailAddress = email => {
   if (typeof email !== 'string' || email.length === 0) {
     return ['emailAddress', 'Please enter your email address'];
@@ -74,24 +120,80 @@ const password = (password, confirm) => {
     ];
   }
 
-  if (
-    regex.lowercases.test(password) === false ||
-    regex.capitals.test(password) === false ||
-    regex.numbers.test(password) === false ||
-    regex.symbols.test(password) === false
-  ) {
+  if (typeof confirm !== 'string' || confirm.length === 0) {
+    return ['confirm', 'Please confirm your password.'];
+  }
+
+  if (password !== confirm) {
+    return ['confirm', 'The passwords do not match.'];
+  }
+
+  return null;
+};
+
+// Validates a password being chosen, rather than one being used to log in.
+// On top of the basic checks, the password must be hard enough to guess and
+// must not have appeared in a data breach. The user's own details, such as
+// their email address and name, count against the password.
+const newPassword = (value, confirm, userInputs = []) => {
+  const basicError = password(value, confirm);
+  if (basicError) {
+    return basicError;
+  }
+
+  const minScore = parseInt(process.env.PASSWORD_MIN_SCORE);
+  const { score, feedback } = estimatePasswordStrength(value, userInputs);
+  if (score < minScore) {
     return [
       'password',
-      'Your password must contain at least one lowercase letter, one uppercase letter, one number, and one symbol.'
+      [
+        'Your password is too easy to guess.',
+        feedback.warning,
+        ...feedback.suggestions
+      ]
+        .filter(sentence => sentence.length > 0)
+        .join(' ')
     ];
   }
 
-  if (typeof confirm !== 'string' || confirm.length === 0) {
-    return ['confirm', 'Please confirm your password.'];
+  if (isBreachedPassword(value)) {
+    return [
+      'password',
+      'This password has appeared in a data breach, so attackers are likely to try it. Please choose a different password.'
+    ];
   }
 
-  if (password !== confirm) {
-    return ['confirm', 'The passwords do not match.'];
+  return null;
+};
+
+// Takes the result of checking a new password against the user's password
+// history, since that check needs the user's stored hashes.
+const passwordReuse = reused => {
+  if (reused === true) {
+    return [
+      'password',
+      `You have used this password recently. Please choose one you haven't used before.`
+    ];
+  }
+
+  return null;
+};
+
+const twoFactorCode = code => {
+  if (typeof code !== 'string' || code.length === 0) {
+    return ['code', 'Please enter your authentication code.'];
+  }
+
+  if (regex.otpCodes.test(code) === false) {
+    return ['code', 'Your authentication code must contain six digits.'];
+  }
+
+  return null;
+};
+
+const recoveryCode = code => {
+  if (typeof code !== 'string' || code.length === 0) {
+    return ['recoveryCode', 'Please enter a recovery code.'];
   }
 
   return null;
@@ -110,7 +212,13 @@ module.exports = {
   regex,
   firstName: createNameValidator('firstName', 'first name'),
   lastName: createNameValidator('lastName', 'last name'),
+  displayName,
+  timezone,
   emailAddress,
   password,
+  newPassword,
+  passwordReuse,
+  twoFactorCode,
+  recoveryCode,
   consent
 };
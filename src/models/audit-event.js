@@ -0,0 +1,96 @@
+/**
+ * @file src/models/audit-event.js
+ *
+ * Database model for our security audit log.
+ */
+
+// Imports
+const mongoose = require('mongoose');
+
+// Schema
+const schema = new mongoose.Schema({
+  // The type of event, such as 'login' or 'password.change'.
+  type: { type: String, required: true, index: true },
+
+  // Whether the action succeeded or failed.
+  outcome: { type: String, enum: ['success', 'failure'], required: true },
+
+  // The user the event concerns, if one is known. The email address is kept
+  // as it was at the time, since it may change or the user may be deleted.
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'user', index: true },
+  emailAddress: { type: String },
+
+  // The staff member who acted on the user, if it wasn't the user themselves.
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'user', index: true },
+
+  // Details about the client which made the request.
+  ipAddress: { type: String },
+  userAgent: { type: String },
+
+  // Further details, such as why the action failed.
+  details: { type: String },
+
+  // Events are removed once they are older than the retention period.
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: parseInt(process.env.AUDIT_LOG_RETENTION) || 60 * 60 * 24 * 90
+  }
+});
+
+// Statics
+schema.statics.search = async function(filters = {}, page = 1, perPage = 25) {
+  // Build the query from whichever filters were given.
+  const query = {};
+  const keys = [
+    'user',
+    'actor',
+    'type',
+    'outcome',
+    'emailAddress',
+    'ipAddress'
+  ];
+  keys.forEach(key => {
+    if (filters[key]) {
+      query[key] = filters[key];
+    }
+  });
+
+  if (filters.from || filters.to) {
+    query.createdAt = {};
+    if (filters.from) {
+      query.createdAt.$gte = new Date(filters.from);
+    }
+    if (filters.to) {
+      query.createdAt.$lte = new Date(filters.to);
+    }
+  }
+
+  // Fetch the requested page of events, newest first.
+  const [events, total] = await Promise.all([
+    this.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * perPage)
+      .limit(perPage),
+    this.countDocuments(query)
+  ]);
+
+  return { events, total, page, pages: Math.ceil(total / perPage) };
+};
+
+// Methods
+schema.methods.toPublic = function() {
+  return {
+    id: this._id.toString(),
+    type: this.type,
+    outcome: this.outcome,
+    actor: this.actor ? this.actor.toString() : null,
+    ipAddress: this.ipAddress || null,
+    userAgent: this.userAgent || null,
+    details: this.details || null,
+    createdAt: this.createdAt
+  };
+};
+
+// Exports
+module.exports = mongoose.model('audit-event', schema);
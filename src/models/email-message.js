@@ -0,0 +1,159 @@
+/**
+ * @file src/models/email-message.js
+ *
+ * Database model for our outbox of emails waiting to be delivered, and the
+ * delivery status of the emails we have already sent.
+ */
+
+// Imports
+const mongoose = require('mongoose');
+
+// Schema
+const schema = new mongoose.Schema({
+  // The name of the template the email was rendered from.
+  template: { type: String, required: true, index: true },
+
+  // The email's sender, recipient and subject.
+  from: { type: String, required: true },
+  to: { type: String, required: true },
+  subject: { type: String, required: true },
+
+  // The parameters the email's body is rendered with when it is delivered.
+  // These can hold secrets, such as the slugs in links, so they are removed
+  // as soon as the email is sent or given up on, and the rendered body is
+  // never stored.
+  params: { type: mongoose.Schema.Types.Mixed, default: null },
+
+  // The recipient's email address, for looking up their emails.
+  emailAddress: { type: String, required: true, index: true },
+
+  // Where the email is in its delivery:
+  //
+  // - 'queued': Waiting to be delivered, or to be retried.
+  // - 'sending': Being delivered by a worker.
+  // - 'sent': Accepted by the email transport.
+  // - 'dead': Delivery has failed too many times, and will not be retried.
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'dead'],
+    default: 'queued'
+  },
+
+  // The number of delivery attempts made so far.
+  attempts: { type: Number, default: 0 },
+
+  // The time after which the email may next be attempted.
+  nextAttemptAt: { type: Date, default: Date.now },
+
+  // A worker's claim on the email expires after this time, so that emails
+  // claimed by a worker that has since stopped are retried.
+  lockedUntil: { type: Date, default: null },
+
+  // The error from the most recent failed attempt.
+  lastError: { type: String, default: null },
+
+  // The time at which the email was accepted by the email transport.
+  sentAt: { type: Date, default: null },
+
+  // Emails are removed once they are older than the retention period.
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: parseInt(process.env.EMAIL_OUTBOX_RETENTION) || 60 * 60 * 24 * 30
+  }
+});
+
+// Indices
+schema.index({ status: 1, nextAttemptAt: 1 });
+
+// Statics
+schema.statics.claimNext = async function(lockDuration) {
+  const now = new Date();
+
+  // Claim the next email that is due, or one whose claim by another worker
+  // has expired.
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      status: 'sending',
+      lockedUntil: new Date(now.getTime() + lockDuration * 1000),
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+schema.statics.search = async function(filters = {}, page = 1, perPage = 25) {
+  // Build the query from whichever filters were given.
+  const query = {};
+  ['emailAddress', 'template', 'status'].forEach(key => {
+    if (filters[key]) {
+      query[key] = filters[key];
+    }
+  });
+
+  // Fetch the requested page of emails, newest first.
+  const [messages, total] = await Promise.all([
+    this.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * perPage)
+      .limit(perPage),
+    this.countDocuments(query)
+  ]);
+
+  return { messages, total, page, pages: Math.ceil(total / perPage) };
+};
+
+// Methods
+schema.methods.getRetryDelay = function() {
+  const baseDelay = parseInt(process.env.EMAIL_RETRY_BASE_DELAY);
+  const maxDelay = parseInt(process.env.EMAIL_RETRY_MAX_DELAY);
+
+  // The delay doubles with each failed attempt, up to the maximum.
+  return Math.min(baseDelay * Math.pow(2, this.attempts - 1), maxDelay);
+};
+
+schema.methods.markSent = function() {
+  this.status = 'sent';
+  this.sentAt = Date.now();
+  this.lockedUntil = null;
+  this.lastError = null;
+  this.params = undefined;
+};
+
+schema.methods.markFailed = function(err) {
+  this.lastError = String((err && err.message) || err).slice(0, 1000);
+  this.lockedUntil = null;
+
+  // Give up on the email once it has been attempted too many times.
+  if (this.attempts >= parseInt(process.env.EMAIL_MAX_ATTEMPTS)) {
+    this.status = 'dead';
+    this.params = undefined;
+    return;
+  }
+
+  this.status = 'queued';
+  this.nextAttemptAt = Date.now() + this.getRetryDelay() * 1000;
+};
+
+schema.methods.toPublic = function() {
+  return {
+    id: this._id.toString(),
+    template: this.template,
+    subject: this.subject,
+    status: this.status,
+    attempts: this.attempts,
+    nextAttemptAt: this.status === 'queued' ? this.nextAttemptAt : null,
+    lastError: this.lastError,
+    sentAt: this.sentAt,
+    createdAt: this.createdAt
+  };
+};
+
+// Exports
+module.exports = mongoose.model('email-message', schema);
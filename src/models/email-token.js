@@ -6,8 +6,8 @@
 
 // Imports
 const mongoose = require('mongoose');
-const bcryptjs = require('bcryptjs');
 const csprng = require('csprng');
+const { hashValue, compareHash } = require('../lib/hash');
 
 // Schema
 const schema = new mongoose.Schema({
@@ -29,16 +29,15 @@ const schema = new mongoose.Schema({
 });
 
 // Methods
-schema.methods.generate = function() {
+schema.methods.generate = async function() {
   const slug = csprng();
-  const salt = bcryptjs.genSaltSync();
-  this.authSlugHash = bcryptjs.hashSync(slug, salt);
+  this.authSlugHash = await hashValue(slug);
 
   return slug;
 };
 
 schema.methods.check = function(slug) {
-  return bcryptjs.compareSync(slug, this.authSlugHash);
+  return compareHash(slug, this.authSlugHash);
 };
 
 // Export
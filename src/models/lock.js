@@ -0,0 +1,57 @@
+/**
+ * @file src/models/lock.js
+ *
+ * Database model for a named lock, which only one server can hold at a time.
+ * Locks are held for a limited time, so that a server which stops while
+ * holding one doesn't keep it forever.
+ */
+
+// Imports
+const mongoose = require('mongoose');
+const csprng = require('csprng');
+
+// Schema
+const schema = new mongoose.Schema({
+  // The lock's name, and a random value identifying who holds it.
+  name: { type: String, required: true, unique: true },
+  holder: { type: String, required: true },
+
+  // When the lock is released, if its holder doesn't release it sooner.
+  lockedUntil: { type: Date, required: true }
+});
+
+// Statics
+schema.statics.acquire = async function(name, duration) {
+  const now = new Date();
+
+  // Take the lock if it is free, or create it if it doesn't exist yet. While
+  // someone else holds it, the upsert tries to create a second lock with the
+  // same name, and is refused.
+  try {
+    return await this.findOneAndUpdate(
+      { name, lockedUntil: { $lte: now } },
+      {
+        holder: csprng(128, 36),
+        lockedUntil: new Date(now.getTime() + duration * 1000)
+      },
+      { new: true, upsert: true }
+    );
+  } catch (err) {
+    if (err.code === 11000) {
+      return null;
+    }
+
+    throw err;
+  }
+};
+
+// Methods
+schema.methods.release = function() {
+  return this.constructor.updateOne(
+    { name: this.name, holder: this.holder },
+    { lockedUntil: new Date() }
+  );
+};
+
+// Exports
+module.exports = mongoose.model('lock', schema);
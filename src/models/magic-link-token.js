@@ -0,0 +1,79 @@
+/**
+ * @file src/models/magic-link-token.js
+ *
+ * Database model for a token allowing a user to log in with a link emailed to
+ * them, in place of their password.
+ */
+
+// Imports
+const mongoose = require('mongoose');
+const csprng = require('csprng');
+const { hashValue, compareHash } = require('../lib/hash');
+
+// Schema
+const schema = new mongoose.Schema({
+  // The email address of the user requesting the login link. Each user has
+  // at most one login link at a time.
+  emailAddress: { type: String, required: true, unique: true },
+
+  // The hash of the slug carried by the login link.
+  authSlugHash: { type: String },
+
+  // The hash of a key given to the browser which requested the login link,
+  // if the link may only be used in that same browser.
+  browserKeyHash: { type: String, default: null },
+
+  // The token is deleted once used. Otherwise, it will expire after a short
+  // time.
+  authExpiry: {
+    type: Date,
+    default: Date.now,
+    expires: parseInt(process.env.MAGIC_LINK_EXPIRY) || 60 * 10
+  }
+});
+
+// Virtuals
+schema.virtual('expired').get(function() {
+  // Expired tokens are only removed every minute or so, so check the expiry
+  // here as well.
+  const expiry = parseInt(process.env.MAGIC_LINK_EXPIRY) || 60 * 10;
+  return Date.now() >= this.authExpiry.getTime() + expiry * 1000;
+});
+
+// Statics
+schema.statics.spend = function(id) {
+  // Remove the token, if nobody has used it already. Only one request can do
+  // so, even when the same link is used by two requests at once.
+  return this.findOneAndDelete({ _id: id });
+};
+
+// Methods
+schema.methods.generate = async function() {
+  const slug = csprng();
+  this.authSlugHash = await hashValue(slug);
+
+  return slug;
+};
+
+schema.methods.check = function(slug) {
+  return compareHash(slug, this.authSlugHash);
+};
+
+schema.methods.generateBrowserKey = async function() {
+  const key = csprng();
+  this.browserKeyHash = await hashValue(key);
+
+  return key;
+};
+
+schema.methods.checkBrowserKey = async function(key) {
+  // Tokens which aren't tied to a browser can be used anywhere.
+  if (!this.browserKeyHash) {
+    return true;
+  }
+
+  return compareHash(key, this.browserKeyHash);
+};
+
+// Exports
+module.exports = mongoose.model('magic-link-token', schema);
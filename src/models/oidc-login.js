@@ -0,0 +1,107 @@
+/**
+ * @file src/models/oidc-login.js
+ *
+ * Database model for a login with an OpenID Connect provider which has been
+ * started, but not yet completed. It holds the secrets needed to check the
+ * provider's response when the user comes back.
+ */
+
+// Imports
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const csprng = require('csprng');
+
+/**
+ * Hashes the state parameter carried through the provider, or the browser
+ * key. Both are long and random, so a fast hash is enough.
+ *
+ * @param {string} value The value to be hashed.
+ * @return {string} The value's hash.
+ */
+const hashValue = value =>
+  crypto
+    .createHash('sha256')
+    .update(value)
+    .digest('hex');
+
+// Schema
+const schema = new mongoose.Schema({
+  // The name of the provider the login was started with.
+  provider: { type: String, required: true },
+
+  // The hash of the state parameter, which ties the provider's response to
+  // this login.
+  stateHash: { type: String, required: true, unique: true },
+
+  // The hash of the key held by the browser which started the login. The
+  // login can only be completed with the same key, so that a provider's
+  // response can't be passed on to somebody else to complete.
+  browserKeyHash: { type: String, required: true },
+
+  // The nonce which must come back in the provider's ID token, and the PKCE
+  // code verifier which must be sent along with the authorization code.
+  nonce: { type: String, required: true },
+  codeVerifier: { type: String, required: true },
+
+  // The logged-in user who started the login, if they are linking the
+  // provider to their account rather than logging in.
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'user', default: null },
+
+  // Logins must be completed within a short time.
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: parseInt(process.env.OIDC_LOGIN_EXPIRY) || 60 * 10
+  }
+});
+
+// Virtuals
+schema.virtual('expired').get(function() {
+  // Expired logins are only removed every minute or so, so check the expiry
+  // here as well.
+  const expiry = parseInt(process.env.OIDC_LOGIN_EXPIRY) || 60 * 10;
+  return Date.now() >= this.createdAt.getTime() + expiry * 1000;
+});
+
+// Statics
+schema.statics.start = async function(provider, user = null) {
+  const state = csprng(256, 36);
+  const browserKey = csprng(256, 36);
+  const login = await this.create({
+    provider,
+    stateHash: hashValue(state),
+    browserKeyHash: hashValue(browserKey),
+    nonce: csprng(256, 36),
+    codeVerifier: csprng(256, 36),
+    user: user ? user._id : null
+  });
+
+  return { login, state, browserKey };
+};
+
+schema.statics.consume = async function(provider, state, browserKey) {
+  if (
+    typeof state !== 'string' ||
+    state.length === 0 ||
+    typeof browserKey !== 'string'
+  ) {
+    return null;
+  }
+
+  // The login is removed as it is found, so that the state can only be used
+  // once.
+  const login = await this.findOneAndDelete({
+    provider,
+    stateHash: hashValue(state)
+  });
+  if (!login || login.expired) {
+    return null;
+  }
+
+  const expected = Buffer.from(login.browserKeyHash, 'hex');
+  const actual = Buffer.from(hashValue(browserKey), 'hex');
+  return crypto.timingSafeEqual(expected, actual) ? login : null;
+};
+
+// Exports
+module.exports = mongoose.model('oidc-login', schema);
@@ -6,8 +6,8 @@
 
 // Imports
 const mongoose = require('mongoose');
-const bcryptjs = require('bcryptjs');
 const csprng = require('csprng');
+const { hashValue, compareHash } = require('../lib/hash');
 
 // Schema
 const schema = new mongoose.Schema({
@@ -18,6 +18,12 @@ const schema = new mongoose.Schema({
   authenticated: { type: Boolean, default: false },
   authSlugHash: { type: String },
 
+  // A short-lived, single-use grant, given out once the token has been
+  // authenticated. The grant must be presented to change the password, so
+  // that only the person who followed the link can complete the reset.
+  grantHash: { type: String },
+  grantExpiry: { type: Date },
+
   // Flag to determine if the token has been spent.
   spent: { type: Boolean, default: false },
 
@@ -30,17 +36,52 @@ const schema = new mongoose.Schema({
   }
 });
 
+// Statics
+schema.statics.spendGrant = function(id, grantHash) {
+  // Mark the token as spent, if its grant hasn't been spent already. Only one
+  // request can do so, even when the same grant is used by two requests at
+  // once.
+  return this.findOneAndUpdate(
+    { _id: id, spent: false, grantHash },
+    { spent: true, grantHash: null },
+    { new: true }
+  );
+};
+
 // Methods
-schema.methods.generate = function() {
+schema.methods.generate = async function() {
   const slug = csprng();
-  const salt = bcryptjs.genSaltSync();
-  this.authSlugHash = bcryptjs.hashSync(slug, salt);
+  this.authSlugHash = await hashValue(slug);
 
   return slug;
 };
 
 schema.methods.check = function(slug) {
-  return bcryptjs.compareSync(slug, this.authSlugHash);
+  return compareHash(slug, this.authSlugHash);
+};
+
+schema.methods.generateGrant = async function() {
+  const slug = csprng();
+  this.grantHash = await hashValue(slug);
+  this.grantExpiry =
+    Date.now() + parseInt(process.env.PASSWORD_RESET_GRANT_EXPIRY) * 1000;
+
+  // The token's ID is bundled with the slug, so that it can be found again.
+  return `${this._id.toString()}.${slug}`;
+};
+
+schema.methods.checkGrant = async function(slug) {
+  if (
+    this.authenticated !== true ||
+    this.spent === true ||
+    !this.grantHash ||
+    !this.grantExpiry ||
+    Date.now() > this.grantExpiry
+  ) {
+    return false;
+  }
+
+  return compareHash(slug, this.grantHash);
 };
 
 // Exports
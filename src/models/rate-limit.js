@@ -0,0 +1,28 @@
+/**
+ * @file src/models/rate-limit.js
+ *
+ * Database model for the request counters kept by our rate limiter, so that
+ * they can be shared between multiple instances of the server.
+ */
+
+// Imports
+const mongoose = require('mongoose');
+
+// Schema
+const schema = new mongoose.Schema({
+  // The key being counted. This is made up of the limit's name, what the
+  // limit is keyed by, and the window being counted.
+  key: { type: String, required: true, unique: true },
+
+  // The number of requests counted in the window.
+  count: { type: Number, default: 0 },
+
+  // The counter is removed once it is no longer needed.
+  expiresAt: { type: Date, required: true }
+});
+
+// Indices
+schema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Exports
+module.exports = mongoose.model('rate-limit', schema);
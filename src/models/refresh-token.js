@@ -0,0 +1,65 @@
+/**
+ * @file src/models/refresh-token.js
+ *
+ * Database model for the long-lived refresh tokens issued alongside our
+ * login tokens.
+ */
+
+// Imports
+const mongoose = require('mongoose');
+const csprng = require('csprng');
+const { hashValue, compareHash } = require('../lib/hash');
+
+// Schema
+const schema = new mongoose.Schema({
+  // The user to whom this token was issued.
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'user', required: true },
+
+  // Every refresh token issued from the same login shares a family. If a
+  // spent token in the family is ever used again, the whole family is
+  // revoked.
+  family: { type: String, required: true, index: true },
+
+  // The ID of the user's login session which this token is able to renew.
+  session: { type: mongoose.Schema.Types.ObjectId, required: true },
+
+  // The token's authentication details.
+  authSlugHash: { type: String },
+
+  // Flag to determine if the token has been spent.
+  spent: { type: Boolean, default: false },
+
+  // Spent or not, this token will expire after a long time.
+  authExpiry: {
+    type: Date,
+    default: Date.now,
+    expires: parseInt(process.env.REFRESH_TOKEN_EXPIRY) || 60 * 60 * 24 * 30
+  }
+});
+
+// Statics
+schema.statics.spend = function(id) {
+  // Mark the token as spent, if nobody has spent it already. Only one request
+  // can do so, even when the same token is used by two requests at once.
+  return this.findOneAndUpdate(
+    { _id: id, spent: false },
+    { spent: true },
+    { new: true }
+  );
+};
+
+// Methods
+schema.methods.generate = async function() {
+  const slug = csprng();
+  this.authSlugHash = await hashValue(slug);
+
+  // The token's ID is bundled with the slug, so that it can be found again.
+  return `${this._id.toString()}.${slug}`;
+};
+
+schema.methods.check = function(slug) {
+  return compareHash(slug, this.authSlugHash);
+};
+
+// Exports
+module.exports = mongoose.model('refresh-token', schema);
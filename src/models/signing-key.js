@@ -0,0 +1,156 @@
+/**
+ * @file src/models/signing-key.js
+ *
+ * Database model for a key pair used to sign our login tokens. Each key
+ * signs tokens for a while, then is retired, but is kept until the last
+ * tokens it signed have expired so that they can still be verified.
+ */
+
+// Imports
+const crypto = require('crypto');
+const { promisify } = require('util');
+const mongoose = require('mongoose');
+const csprng = require('csprng');
+
+// Generates key pairs without blocking the event loop.
+const generateKeyPair = promisify(crypto.generateKeyPair);
+
+// How each signing algorithm's key pairs are generated.
+const keyPairOptions = {
+  RS256: ['rsa', { modulusLength: 2048 }],
+  ES256: ['ec', { namedCurve: 'prime256v1' }],
+  EdDSA: ['ed25519', {}]
+};
+
+/**
+ * Derives the key which private keys are encrypted with at rest.
+ *
+ * @return {Buffer}
+ */
+const getEncryptionKey = () =>
+  crypto
+    .createHash('sha256')
+    .update(process.env.JWT_KEY_ENCRYPTION_SECRET)
+    .digest();
+
+/**
+ * Encrypts a private key for storage.
+ *
+ * @param {string} privateKey The private key, in PEM format.
+ * @return {string} The encrypted key, as 'iv.tag.ciphertext' in base64.
+ */
+const encryptPrivateKey = privateKey => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(privateKey, 'utf8'),
+    cipher.final()
+  ]);
+
+  return [iv, cipher.getAuthTag(), ciphertext]
+    .map(part => part.toString('base64'))
+    .join('.');
+};
+
+/**
+ * Decrypts a stored private key.
+ *
+ * @param {string} encrypted The encrypted key.
+ * @return {string} The private key, in PEM format.
+ */
+const decryptPrivateKey = encrypted => {
+  const [iv, tag, ciphertext] = encrypted
+    .split('.')
+    .map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(
+    'aes-256-gcm',
+    getEncryptionKey(),
+    iv
+  );
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([
+    decipher.update(ciphertext),
+    decipher.final()
+  ]).toString('utf8');
+};
+
+// Schema
+const schema = new mongoose.Schema({
+  // The key's ID, given in the 'kid' header of the tokens it signs.
+  kid: { type: String, required: true, unique: true },
+
+  // The algorithm the key signs with.
+  algorithm: {
+    type: String,
+    required: true,
+    enum: Object.keys(keyPairOptions)
+  },
+
+  // The public key, in PEM format, and the encrypted private key.
+  publicKey: { type: String, required: true },
+  privateKey: { type: String, required: true },
+
+  // When the key starts and stops signing tokens. Keys are published before
+  // they start signing, so that anyone caching our public keys has them in
+  // time.
+  activatesAt: { type: Date, required: true },
+  retiresAt: { type: Date, required: true },
+
+  // When the last tokens signed by the key have expired, and the key can be
+  // removed.
+  expiresAt: { type: Date, required: true }
+});
+
+// Indices
+schema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Statics
+schema.statics.generate = async function(algorithm, activatesAt, retiresAt) {
+  const [type, options] = keyPairOptions[algorithm];
+  const { publicKey, privateKey } = await generateKeyPair(type, options);
+  const tokenLifetime = parseInt(process.env.ACCESS_TOKEN_EXPIRY) + 60;
+
+  return this.create({
+    kid: csprng(128, 36),
+    algorithm,
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+    privateKey: encryptPrivateKey(
+      privateKey.export({ type: 'pkcs8', format: 'pem' })
+    ),
+    activatesAt,
+    retiresAt,
+    expiresAt: new Date(retiresAt.getTime() + tokenLifetime * 1000)
+  });
+};
+
+// Methods
+schema.methods.isSigning = function(now = Date.now()) {
+  return this.activatesAt.getTime() <= now && now < this.retiresAt.getTime();
+};
+
+schema.methods.retire = function(at = Date.now()) {
+  // Tokens signed up until the key retires must still verify until they
+  // expire.
+  const tokenLifetime = parseInt(process.env.ACCESS_TOKEN_EXPIRY) + 60;
+  if (this.retiresAt.getTime() > at) {
+    this.retiresAt = new Date(at);
+    this.expiresAt = new Date(at + tokenLifetime * 1000);
+  }
+};
+
+schema.methods.getPrivateKey = function() {
+  return decryptPrivateKey(this.privateKey);
+};
+
+schema.methods.toJwk = function() {
+  return {
+    ...crypto.createPublicKey(this.publicKey).export({ format: 'jwk' }),
+    kid: this.kid,
+    alg: this.algorithm,
+    use: 'sig'
+  };
+};
+
+// Exports
+module.exports = mongoose.model('signing-key', schema);
@@ -5,10 +5,49 @@
  */
 
 // Imports
+const crypto = require('crypto');
 const mongoose = require('mongoose');
-const bcryptjs = require('bcryptjs');
 const csprng = require('csprng');
 const jwt = require('jsonwebtoken');
+const refreshTokenModel = require('./refresh-token');
+const passTokenModel = require('./password-token');
+const emailTokenModel = require('./email-token');
+const magicLinkTokenModel = require('./magic-link-token');
+const { hashValue, compareHash } = require('../lib/hash');
+const passwordHash = require('../lib/password-hash');
+const totp = require('../lib/totp');
+const { createProfileSchema, getProfile } = require('../lib/profile');
+const roles = require('../lib/roles');
+const signingKeys = require('../lib/signing-keys');
+
+// Session Schema
+const sessionSchema = new mongoose.Schema({
+  // The keyed hash of the login nonce carried by this session's login token.
+  nonceHash: { type: String, required: true },
+
+  // Some details about the device on which the session was started.
+  label: { type: String },
+  userAgent: { type: String },
+  ipAddress: { type: String },
+
+  // When the session was started, and when it was last used.
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now }
+});
+
+// Identity Schema
+const identitySchema = new mongoose.Schema({
+  // The name of the OpenID Connect provider, and the ID the provider gives
+  // the user. Together, these identify the user's account with the provider.
+  provider: { type: String, required: true },
+  subject: { type: String, required: true },
+
+  // The email address the provider gave when the identity was linked.
+  emailAddress: { type: String },
+
+  // When the identity was linked.
+  linkedAt: { type: Date, default: Date.now }
+});
 
 // Schema
 const schema = new mongoose.Schema({
@@ -17,21 +56,64 @@ const schema = new mongoose.Schema({
   // The user's email address.
   emailAddress: { type: String, required: true, unique: true },
 
-  // The user's salt-and-hashed password.
-  passwordHash: { type: String, required: true },
+  // The user's salt-and-hashed password. The hash is prefixed with the
+  // algorithm and parameters used to create it. Users who signed up with an
+  // outside identity provider have no password until they choose one.
+  passwordHash: { type: String, default: null },
+
+  // The hashes of the user's previous passwords, most recent first, so that
+  // a recently used password can't be chosen again. Only as many as the
+  // 'PASSWORD_HISTORY_DEPTH' setting calls for are kept.
+  passwordHistory: [{ type: String }],
 
   // A counter of how many login attempts the user has made. Too many failed
-  // attempts will lock the user out for a short time.
+  // attempts will lock the user out for a while, and each lockout in a row
+  // lasts longer than the last.
   loginAttempts: { type: Number, default: 0 },
   loginAttemptsExpiry: { type: Date, default: Date.now },
+  lockoutCount: { type: Number, default: 0 },
+  lockedUntil: { type: Date, default: null },
+  unlockSlugHash: { type: String },
+
+  // Set when the user must choose a new password before logging in again.
+  passwordResetRequired: { type: Boolean, default: false },
 
-  // A container of login nonces. Each nonce represents a device on which
+  // A container of login sessions. Each session represents a device on which
   // the user is logged in to the application.
+  sessions: [sessionSchema],
+
+  // The bcrypt-hashed login nonces stored before sessions were introduced.
+  // Each is moved into 'sessions' the first time its login token is used.
   loginNonces: [{ type: String }],
 
+  // Two-factor authentication details. A new secret is held as pending until
+  // the user confirms their enrollment with a first code. The last time step
+  // used is kept so that a code cannot be replayed.
+  twoFactorEnabled: { type: Boolean, default: false },
+  twoFactorSecret: { type: String },
+  twoFactorPendingSecret: { type: String },
+  twoFactorLastStep: { type: Number, default: -1 },
+  twoFactorChallengeHash: { type: String },
+
+  // A container of salt-and-hashed, single-use recovery codes. Each code can
+  // stand in for a second factor or a lost mailbox exactly once.
+  recoveryCodes: [{ type: String }],
+
+  // The roles given to the user. Each role grants a set of permissions, as
+  // declared in 'src/lib/roles.js'.
+  roles: { type: [String], default: [roles.defaultRole] },
+
+  // The accounts with outside identity providers which the user can log in
+  // with.
+  identities: [identitySchema],
+
+  // The user's profile. Its fields are declared in 'src/lib/profile.js'.
+  profile: createProfileSchema(),
+
   // Some information pertaining to whether the user's newly-created account
   // has been verified and is ready for use.
   verified: { type: Boolean, default: false },
+  verificationSeed: { type: String },
   verificationSlugHash: { type: String },
   verificationIpHash: { type: String },
   verificationExpiry: {
@@ -41,86 +123,393 @@ const schema = new mongoose.Schema({
   }
 });
 
+// Indices
+//
+// No two users may link the same account with a provider.
+schema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  {
+    unique: true,
+    partialFilterExpression: { 'identities.subject': { $exists: true } }
+  }
+);
+
 // Virtuals
 schema.virtual('exceededLoginAttempts').get(function() {
-  const maxLoginAttempts = process.env.MAX_LOGIN_ATTEMPTS;
-  return (
-    Date.now() < this.loginAttemptsExpiry &&
-    this.loginAttempts >= maxLoginAttempts
-  );
+  return !!this.lockedUntil && Date.now() < this.lockedUntil;
 });
 
 schema.virtual('loginAttemptsExpired').get(function() {
   return Date.now() >= this.loginAttemptsExpiry;
 });
 
+schema.virtual('recoveryCodesRemaining').get(function() {
+  return this.recoveryCodes.length;
+});
+
+// Statics
+schema.statics.search = async function(filters = {}, page = 1, perPage = 25) {
+  // Build the query from whichever filters were given.
+  const query = {};
+  if (typeof filters.verified === 'boolean') {
+    query.verified = filters.verified;
+  }
+
+  if (filters.locked === true) {
+    query.lockedUntil = { $gt: new Date() };
+  } else if (filters.locked === false) {
+    query.$or = [{ lockedUntil: null }, { lockedUntil: { $lte: new Date() } }];
+  }
+
+  // Users are searched by a part of their email address, without regard to
+  // case.
+  if (filters.emailAddress) {
+    const escaped = filters.emailAddress.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    query.emailAddress = new RegExp(escaped, 'i');
+  }
+
+  // An ObjectId starts with its creation time, so users can be filtered by
+  // when they were created without a separate field.
+  if (filters.from || filters.to) {
+    query._id = {};
+    if (filters.from) {
+      query._id.$gte = mongoose.Types.ObjectId.createFromTime(
+        Math.floor(new Date(filters.from).getTime() / 1000)
+      );
+    }
+    if (filters.to) {
+      query._id.$lte = mongoose.Types.ObjectId.createFromTime(
+        Math.floor(new Date(filters.to).getTime() / 1000)
+      );
+    }
+  }
+
+  // Fetch the requested page of users, newest first.
+  const [users, total] = await Promise.all([
+    this.find(query)
+      .sort({ _id: -1 })
+      .skip((page - 1) * perPage)
+      .limit(perPage),
+    this.countDocuments(query)
+  ]);
+
+  return { users, total, page, pages: Math.ceil(total / perPage) };
+};
+
+schema.statics.findByIdentity = function(provider, subject) {
+  return this.findOne({ identities: { $elemMatch: { provider, subject } } });
+};
+
+// Login nonces are hashed with a keyed HMAC rather than bcrypt. The nonces are
+// already long and random, so a slow hash adds nothing but latency.
+const hashLoginNonce = nonce =>
+  crypto
+    .createHmac('sha256', process.env.SESSION_SECRET)
+    .update(nonce)
+    .digest('hex');
+
+const compareLoginNonce = (nonce, hash) => {
+  if (typeof nonce !== 'string' || typeof hash !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = Buffer.from(hashLoginNonce(nonce), 'hex');
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+};
+
+// Verification slugs are derived from a random seed with a keyed HMAC, so
+// that the same link can be sent again without the slug itself being stored.
+const deriveVerificationSlug = user =>
+  crypto
+    .createHmac('sha256', process.env.SESSION_SECRET)
+    .update(`verification:${user._id}:${user.verificationSeed}`)
+    .digest('hex');
+
+// Recovery codes are compared without regard to case, spaces or dashes.
+const normalizeRecoveryCode = code => code.toLowerCase().replace(/[\s-]/g, '');
+
 // Methods
-schema.methods.generateVerification = function(ip) {
+schema.methods.generateVerification = async function(ip) {
   // Salt-and-hash the IP address.
-  const ipSalt = bcryptjs.genSaltSync();
-  this.verificationIpHash = bcryptjs.hashSync(ip, ipSalt);
+  this.verificationIpHash = await hashValue(ip);
 
-  // Create the verification slug.
-  const slug = csprng();
+  return this.reissueVerification();
+};
 
-  // Set the salt-and-hashed slug in the document.
-  const slugSalt = bcryptjs.genSaltSync();
-  this.verificationSlugHash = bcryptjs.hashSync(slug, slugSalt);
+schema.methods.reissueVerification = function() {
+  // Create the seed the verification slug is derived from, replacing any
+  // earlier slug. The IP address the account was created from is kept.
+  this.verificationSeed = csprng();
+  this.verificationSlugHash = null;
 
   // Return the slug.
-  return { slug };
+  return { slug: deriveVerificationSlug(this) };
 };
 
-schema.methods.checkVerification = function(slug, ip) {
-  return (
-    bcryptjs.compareSync(slug, this.verificationSlugHash) &&
-    bcryptjs.compareSync(ip, this.verificationIpHash)
-  );
+schema.methods.getVerification = function() {
+  // Slugs created before they were derived from a seed can't be recovered.
+  return this.verificationSeed ? { slug: deriveVerificationSlug(this) } : null;
 };
 
-schema.methods.setPassword = function(password) {
-  // Create a salt and use it to hash the password.
-  const salt = bcryptjs.genSaltSync();
-  this.passwordHash = bcryptjs.hashSync(password, salt);
+schema.methods.checkVerification = async function(slug, ip) {
+  if (typeof slug !== 'string') {
+    return false;
+  }
+
+  let slugMatches = false;
+  if (this.verificationSeed) {
+    const expected = Buffer.from(deriveVerificationSlug(this));
+    const actual = Buffer.from(slug);
+    slugMatches =
+      expected.length === actual.length &&
+      crypto.timingSafeEqual(expected, actual);
+  } else {
+    slugMatches = await compareHash(slug, this.verificationSlugHash);
+  }
+
+  return slugMatches && compareHash(ip, this.verificationIpHash);
 };
 
-schema.methods.checkPassword = function(password) {
+schema.methods.setPassword = async function(password) {
+  // Move the old password into the user's password history. The history
+  // depth counts the current password, so one fewer previous password is
+  // kept.
+  const depth = Math.max(0, parseInt(process.env.PASSWORD_HISTORY_DEPTH) || 0);
+  const history = this.passwordHash
+    ? [this.passwordHash, ...this.passwordHistory]
+    : [...this.passwordHistory];
+  this.passwordHistory = history.slice(0, Math.max(0, depth - 1));
+
+  // Salt-and-hash the password with the current hashing policy.
+  this.passwordHash = await passwordHash.hashPassword(password);
+};
+
+schema.methods.rehashPassword = async function(password) {
+  // Re-hash the same password under the current hashing policy, without
+  // touching the user's password history.
+  this.passwordHash = await passwordHash.hashPassword(password);
+};
+
+schema.methods.isPasswordReused = async function(password) {
+  // Check the current password, then as many previous passwords as the
+  // history depth calls for.
+  const depth = Math.max(0, parseInt(process.env.PASSWORD_HISTORY_DEPTH) || 0);
+  const hashes = [this.passwordHash, ...this.passwordHistory]
+    .filter(hash => typeof hash === 'string' && hash.length > 0)
+    .slice(0, depth);
+
+  for (let i = 0; i < hashes.length; ++i) {
+    if (await passwordHash.verifyPassword(password, hashes[i])) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+schema.methods.checkPassword = async function(password) {
   // Make sure a password was set.
   if (this.passwordHash === null) {
     return false;
   }
 
   // Compare the submitted password to the hashed password stored.
-  return bcryptjs.compareSync(password, this.passwordHash);
+  return passwordHash.verifyPassword(password, this.passwordHash);
+};
+
+schema.methods.getPasswordInputs = function() {
+  // The user's own details, which their password should not be based on.
+  const profile = this.profile || {};
+  return [
+    this.emailAddress,
+    profile.firstName,
+    profile.lastName,
+    profile.displayName
+  ].filter(input => typeof input === 'string' && input.length > 0);
+};
+
+schema.methods.passwordNeedsRehash = function() {
+  return passwordHash.passwordNeedsRehash(this.passwordHash);
 };
 
 schema.methods.resetLoginAttemptsExpiry = function() {
-  this.loginAttemptsExpiry = Date.now() + 1000 * 60 * 5;
+  const window = parseInt(process.env.LOGIN_ATTEMPTS_WINDOW);
+  this.loginAttemptsExpiry = Date.now() + 1000 * window;
+};
+
+schema.methods.getLockoutDuration = function() {
+  // Each lockout in a row lasts longer than the last, up to a maximum.
+  const base = parseInt(process.env.LOCKOUT_BASE_DURATION);
+  const multiplier = parseFloat(process.env.LOCKOUT_MULTIPLIER);
+  const max = parseInt(process.env.LOCKOUT_MAX_DURATION);
+
+  return Math.min(base * Math.pow(multiplier, this.lockoutCount), max);
 };
 
-schema.methods.generateLoginNonce = function() {
-  // Generate the nonce, then salt-and-hash it.
+schema.methods.recordFailedLogin = async function() {
+  const maxLoginAttempts = parseInt(process.env.MAX_LOGIN_ATTEMPTS);
+
+  this.loginAttempts++;
+  this.resetLoginAttemptsExpiry();
+  if (this.loginAttempts < maxLoginAttempts) {
+    return null;
+  }
+
+  // Too many attempts. Lock the account out.
+  const duration = this.getLockoutDuration();
+  this.lockedUntil = Date.now() + 1000 * duration;
+  this.lockoutCount++;
+  this.loginAttempts = 0;
+
+  // Generate a signed, single-use token for unlocking the account early.
   const nonce = csprng();
-  const nonceSalt = bcryptjs.genSaltSync();
-  const nonceHash = bcryptjs.hashSync(nonce, nonceSalt);
+  this.unlockSlugHash = await hashValue(nonce);
 
-  // Add the login nonce to our active nonces.
-  this.loginNonces.push(nonceHash);
+  const token = jwt.sign(
+    {
+      id: this._id.toString(),
+      exp: Math.floor(Date.now() / 1000) + parseInt(process.env.UNLOCK_EXPIRY),
+      purpose: 'unlock',
+      nonce
+    },
+    process.env.JWT_SECRET
+  );
+
+  return { token, duration };
+};
+
+schema.methods.recordSuccessfulLogin = function() {
+  this.loginAttempts = 0;
+  this.lockoutCount = 0;
+};
+
+schema.methods.checkUnlock = function(nonce) {
+  return compareHash(nonce, this.unlockSlugHash);
+};
+
+schema.methods.unlock = function() {
+  // Unlocking the account requires the user to choose a new password.
+  this.loginAttempts = 0;
+  this.lockedUntil = null;
+  this.unlockSlugHash = null;
+  this.passwordResetRequired = true;
+};
+
+schema.methods.markVerified = function() {
+  this.verified = true;
+  this.verificationExpiry = null;
+  this.verificationSeed = null;
+  this.verificationSlugHash = null;
+  this.verificationIpHash = null;
+};
+
+schema.methods.lock = function(duration) {
+  this.loginAttempts = 0;
+  this.lockedUntil = Date.now() + 1000 * duration;
+};
+
+schema.methods.clearLockout = function() {
+  // Unlike 'unlock', this does not require a new password. It is meant for
+  // support staff, who have already confirmed the user's identity.
+  this.loginAttempts = 0;
+  this.lockoutCount = 0;
+  this.lockedUntil = null;
+  this.unlockSlugHash = null;
+};
+
+schema.methods.generateLoginNonce = function(details = {}) {
+  // Generate the nonce, then hash it.
+  const nonce = csprng();
+  const nonceHash = hashLoginNonce(nonce);
+
+  // Start a new session with the login nonce.
+  this.sessions.push({
+    nonceHash,
+    label: details.label,
+    userAgent: details.userAgent,
+    ipAddress: details.ipAddress
+  });
+
+  return nonce;
+};
+
+schema.methods.rotateLoginNonce = function(session, details = {}) {
+  // Replace the session's nonce with a new one, keeping the session itself.
+  const nonce = csprng();
+  session.nonceHash = hashLoginNonce(nonce);
+  session.userAgent = details.userAgent || session.userAgent;
+  session.ipAddress = details.ipAddress || session.ipAddress;
+  session.lastUsedAt = Date.now();
 
   return nonce;
 };
 
 schema.methods.getLoginNonceIndex = function(nonce) {
-  const index = this.loginNonces.findIndex(hash =>
-    bcryptjs.compareSync(nonce, hash)
+  return this.sessions.findIndex(session =>
+    compareLoginNonce(nonce, session.nonceHash)
   );
-  return index;
+};
+
+schema.methods.getLegacyLoginNonceIndex = async function(nonce) {
+  if (typeof nonce !== 'string') {
+    return -1;
+  }
+
+  for (let i = 0; i < this.loginNonces.length; ++i) {
+    if (await compareHash(nonce, this.loginNonces[i])) {
+      return i;
+    }
+  }
+
+  return -1;
+};
+
+schema.methods.migrateLoginNonce = async function(nonce) {
+  // Move a nonce stored before sessions were introduced into a session of
+  // its own, rehashed with our keyed hash. Nothing is known about the device
+  // it was issued to.
+  const index = await this.getLegacyLoginNonceIndex(nonce);
+  if (index === -1) {
+    return false;
+  }
+
+  this.loginNonces.splice(index, 1);
+  this.sessions.push({
+    nonceHash: hashLoginNonce(nonce),
+    label: 'Unknown device',
+    userAgent: 'Unknown',
+    ipAddress: 'Unknown'
+  });
+
+  return true;
+};
+
+schema.methods.findLoginSession = async function(sessionId, nonce) {
+  if (!sessionId && this.loginNonces.length > 0) {
+    await this.migrateLoginNonce(nonce);
+  }
+
+  // Login tokens carry the ID of their session, so only that session's hash
+  // needs to be checked. Tokens issued before sessions were introduced fall
+  // back to checking every session.
+  const session = sessionId
+    ? this.sessions.id(sessionId)
+    : this.sessions[this.getLoginNonceIndex(nonce)];
+  if (!session || !compareLoginNonce(nonce, session.nonceHash)) {
+    return null;
+  }
+
+  return session;
 };
 
 schema.methods.removeLoginNonce = function(nonce) {
   const index = this.getLoginNonceIndex(nonce);
   if (index !== -1) {
-    this.loginNonces.splice(index, 1);
+    this.sessions.splice(index, 1);
     return true;
   }
 
@@ -128,25 +517,270 @@ schema.methods.removeLoginNonce = function(nonce) {
 };
 
 schema.methods.removeAllLoginNonces = function() {
+  this.sessions = [];
   this.loginNonces = [];
 };
 
-schema.methods.generateLoginToken = async function() {
-  let date = new Date();
-  date.setDate(date.getDate() + 2);
+schema.methods.beginTwoFactorEnrollment = function() {
+  // Generate a new secret and hold it until the enrollment is confirmed.
+  const secret = totp.generateSecret();
+  this.twoFactorPendingSecret = secret;
+
+  return { secret, uri: totp.createUri(secret, this.emailAddress) };
+};
 
-  const loginNonce = this.generateLoginNonce();
+schema.methods.confirmTwoFactorEnrollment = function(code) {
+  // Make sure an enrollment is pending, and that the code given was
+  // generated from the pending secret.
+  if (!this.twoFactorPendingSecret) {
+    return false;
+  }
+
+  const step = totp.checkCode(this.twoFactorPendingSecret, code);
+  if (step === -1) {
+    return false;
+  }
+
+  // Enable two-factor authentication with the pending secret.
+  this.twoFactorEnabled = true;
+  this.twoFactorSecret = this.twoFactorPendingSecret;
+  this.twoFactorPendingSecret = null;
+  this.twoFactorLastStep = step;
+
+  return true;
+};
+
+schema.methods.checkTwoFactorCode = function(code) {
+  if (this.twoFactorEnabled === false || !this.twoFactorSecret) {
+    return false;
+  }
+
+  // Reject codes from time steps which have already been used.
+  const step = totp.checkCode(this.twoFactorSecret, code);
+  if (step === -1 || step <= this.twoFactorLastStep) {
+    return false;
+  }
+
+  this.twoFactorLastStep = step;
+  return true;
+};
+
+schema.methods.disableTwoFactor = function() {
+  this.twoFactorEnabled = false;
+  this.twoFactorSecret = null;
+  this.twoFactorPendingSecret = null;
+  this.twoFactorLastStep = -1;
+  this.twoFactorChallengeHash = null;
+};
+
+schema.methods.generateTwoFactorChallenge = async function() {
+  const expiry = parseInt(process.env.TWO_FACTOR_CHALLENGE_EXPIRY);
+
+  // Generate the challenge nonce, then salt-and-hash it. Only the most
+  // recently issued challenge can be exchanged for a login token.
+  const nonce = csprng();
+  this.twoFactorChallengeHash = await hashValue(nonce);
   await this.save();
 
   return jwt.sign(
     {
       id: this._id.toString(),
-      exp: Math.floor(date.getTime() / 1000),
-      jti: loginNonce
+      exp: Math.floor(Date.now() / 1000) + expiry,
+      purpose: 'two-factor',
+      nonce
     },
     process.env.JWT_SECRET
   );
 };
 
+schema.methods.checkTwoFactorChallenge = function(nonce) {
+  return compareHash(nonce, this.twoFactorChallengeHash);
+};
+
+schema.methods.generateRecoveryCodes = async function() {
+  const count = parseInt(process.env.RECOVERY_CODE_COUNT);
+  const codes = [];
+
+  // Generate the codes, then salt-and-hash each one. Any previously issued
+  // codes are replaced.
+  this.recoveryCodes = [];
+  for (let i = 0; i < count; ++i) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    this.recoveryCodes.push(await hashValue(raw));
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  return codes;
+};
+
+schema.methods.useRecoveryCode = async function(code) {
+  if (typeof code !== 'string') {
+    return false;
+  }
+
+  // Find the code and burn it so that it cannot be used again.
+  const normalized = normalizeRecoveryCode(code);
+  for (let i = 0; i < this.recoveryCodes.length; ++i) {
+    if (await compareHash(normalized, this.recoveryCodes[i])) {
+      this.recoveryCodes.splice(i, 1);
+      return true;
+    }
+  }
+
+  return false;
+};
+
+schema.methods.signLoginToken = function(loginNonce, session) {
+  const expiry = parseInt(process.env.ACCESS_TOKEN_EXPIRY);
+
+  return signingKeys.signLoginToken({
+    id: this._id.toString(),
+    sid: session._id.toString(),
+    roles: [...this.roles],
+    exp: Math.floor(Date.now() / 1000) + expiry,
+    jti: loginNonce
+  });
+};
+
+schema.methods.generateLoginToken = async function(
+  details = {},
+  renewing = null
+) {
+  // When renewing with a refresh token, rotate the nonce of the session that
+  // token belongs to. Otherwise, start a new session.
+  let session = renewing ? this.sessions.id(renewing.session) : null;
+  let loginNonce = null;
+  if (session) {
+    loginNonce = this.rotateLoginNonce(session, details);
+  } else {
+    loginNonce = this.generateLoginNonce(details);
+    session = this.sessions[this.sessions.length - 1];
+  }
+
+  // Issue a refresh token which is able to renew the session.
+  const refreshToken = new refreshTokenModel({
+    user: this._id,
+    family: renewing ? renewing.family : csprng(),
+    session: session._id
+  });
+  const refreshSlug = await refreshToken.generate();
+
+  await this.save();
+  await refreshToken.save();
+
+  return {
+    token: await this.signLoginToken(loginNonce, session),
+    refreshToken: refreshSlug
+  };
+};
+
+schema.methods.removeRefreshTokenFamily = async function(family) {
+  // Remove the sessions renewed by the family's tokens, then the tokens
+  // themselves.
+  const refreshTokens = await refreshTokenModel.find({
+    user: this._id,
+    family
+  });
+  refreshTokens.forEach(token => this.sessions.pull(token.session));
+  await refreshTokenModel.deleteMany({ user: this._id, family });
+};
+
+schema.methods.removeLoginSession = async function(sessionId) {
+  // Revoke the refresh tokens belonging to this session before removing the
+  // session itself.
+  await refreshTokenModel.deleteMany({ user: this._id, session: sessionId });
+  this.sessions.pull(sessionId);
+};
+
+schema.methods.removeOtherLoginSessions = async function(sessionId) {
+  // Revoke the refresh tokens belonging to every other session, then remove
+  // the sessions themselves.
+  await refreshTokenModel.deleteMany({
+    user: this._id,
+    session: { $ne: sessionId }
+  });
+  this.sessions = this.sessions.filter(session =>
+    session._id.equals(sessionId)
+  );
+  this.loginNonces = [];
+};
+
+schema.methods.removeAllLoginSessions = async function() {
+  await refreshTokenModel.deleteMany({ user: this._id });
+  this.removeAllLoginNonces();
+};
+
+schema.methods.deleteAccount = async function() {
+  // Remove everything belonging to the user along with the user.
+  await passTokenModel.deleteMany({ emailAddress: this.emailAddress });
+  await emailTokenModel.deleteMany({ emailAddress: this.emailAddress });
+  await magicLinkTokenModel.deleteMany({ emailAddress: this.emailAddress });
+  await refreshTokenModel.deleteMany({ user: this._id });
+  await this.remove();
+};
+
+schema.methods.findIdentity = function(provider) {
+  return this.identities.find(identity => identity.provider === provider);
+};
+
+schema.methods.linkIdentity = function(identity) {
+  this.identities.push({
+    provider: identity.provider,
+    subject: identity.subject,
+    emailAddress: identity.emailAddress || undefined
+  });
+};
+
+schema.methods.unlinkIdentity = function(provider) {
+  this.identities = this.identities.filter(
+    identity => identity.provider !== provider
+  );
+};
+
+schema.methods.countLoginMethods = function() {
+  // A password and each linked identity are separate ways of logging in.
+  return (this.passwordHash ? 1 : 0) + this.identities.length;
+};
+
+schema.methods.hasRole = function(role) {
+  return this.roles.indexOf(role) !== -1;
+};
+
+schema.methods.hasPermission = function(permission) {
+  return roles.hasPermission(this.roles, permission);
+};
+
+schema.methods.toPublic = function() {
+  // Only ever expose what the user may see about themselves. Hashes, nonces
+  // and secrets are never included.
+  return {
+    id: this._id.toString(),
+    emailAddress: this.emailAddress,
+    roles: [...this.roles],
+    permissions: [...roles.getPermissions(this.roles)],
+    twoFactorEnabled: this.twoFactorEnabled,
+    recoveryCodesRemaining: this.recoveryCodesRemaining,
+    createdAt: this._id.getTimestamp(),
+    profile: getProfile(this.profile)
+  };
+};
+
+schema.methods.toAdmin = function() {
+  // Support staff see a little more than the user does, but still never any
+  // hashes, nonces or secrets.
+  return {
+    ...this.toPublic(),
+    verified: this.verified,
+    locked: this.exceededLoginAttempts,
+    lockedUntil: this.exceededLoginAttempts ? this.lockedUntil : null,
+    loginAttempts: this.loginAttempts,
+    lockoutCount: this.lockoutCount,
+    passwordResetRequired: this.passwordResetRequired,
+    hasPassword: !!this.passwordHash,
+    identities: this.identities.map(identity => identity.provider),
+    sessionCount: this.sessions.length
+  };
+};
+
 // Exports
 module.exports = mongoose.model('user', schema);
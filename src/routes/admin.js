@@ -0,0 +1,73 @@
+/**
+ * @file src/routes/admin.js
+ *
+ * API routing for our staff functions. Every route requires a login, and a
+ * role granting the permission the route needs.
+ */
+
+// Imports
+const express = require('express');
+const adminUser = require('../controllers/admin-user');
+const auth = require('../lib/auth');
+
+// Express Router
+const router = express.Router();
+
+// Every route here requires a login.
+router.use(auth.requireLoginToken);
+
+// Routes
+const can = auth.requirePermission;
+router.get('/users', can('users.read'), adminUser.list);
+router.get('/users/:id', can('users.read'), adminUser.findUser, adminUser.view);
+router.get(
+  '/users/:id/activity',
+  can('audit.read'),
+  adminUser.findUser,
+  adminUser.activity
+);
+router.get(
+  '/users/:id/emails',
+  can('emails.read'),
+  adminUser.findUser,
+  adminUser.emails
+);
+router.post(
+  '/users/:id/verify',
+  can('users.verify'),
+  adminUser.findUser,
+  adminUser.verify
+);
+router.post(
+  '/users/:id/lock',
+  can('users.lock'),
+  adminUser.findUser,
+  adminUser.lock
+);
+router.post(
+  '/users/:id/unlock',
+  can('users.unlock'),
+  adminUser.findUser,
+  adminUser.unlock
+);
+router.post(
+  '/users/:id/logout',
+  can('users.logout'),
+  adminUser.findUser,
+  adminUser.logout
+);
+router.post(
+  '/users/:id/reset-password',
+  can('users.reset-password'),
+  adminUser.findUser,
+  adminUser.resetPassword
+);
+router.delete(
+  '/users/:id',
+  can('users.delete'),
+  adminUser.findUser,
+  adminUser.remove
+);
+
+// Exports
+module.exports = router;
@@ -0,0 +1,34 @@
+/**
+ * @file src/routes/dev.js
+ *
+ * API routing for our development tools. These routes are only mounted
+ * outside of production.
+ */
+
+// Imports
+const express = require('express');
+const mailCapture = require('../controllers/mail-capture');
+
+// Express Router
+const router = express.Router();
+
+// Routes
+if (process.env.EMAIL_TRANSPORT_METHOD === 'capture') {
+  router.get('/mail', mailCapture.list);
+  router.delete('/mail', mailCapture.clear);
+  router.get('/mail/:id', mailCapture.view);
+  router.get('/mail/:id/html', mailCapture.renderHtml);
+  router.get('/mail/:id/text', mailCapture.renderText);
+}
+
+if (process.env.OIDC_MOCK_PROVIDER === 'true') {
+  const mockProvider = require('../controllers/mock-oidc-provider');
+  router.get('/oidc/.well-known/openid-configuration', mockProvider.discovery);
+  router.get('/oidc/jwks', mockProvider.jwks);
+  router.get('/oidc/authorize', mockProvider.authorize);
+  router.post('/oidc/token', mockProvider.token);
+  router.get('/oidc/userinfo', mockProvider.userinfo);
+}
+
+// Exports
+module.exports = router;
@@ -9,26 +9,181 @@ const express = require('express');
 const user = require('../controllers/user');
 const passToken = require('../controllers/password-token');
 const emailToken = require('../controllers/email-token');
+const twoFactor = require('../controllers/two-factor');
+const recoveryCode = require('../controllers/recovery-code');
+const magicLink = require('../controllers/magic-link');
+const identity = require('../controllers/identity');
+const refreshToken = require('../controllers/refresh-token');
+const session = require('../controllers/session');
+const profile = require('../controllers/profile');
+const auditEvent = require('../controllers/audit-event');
+const emailMessage = require('../controllers/email-message');
 const auth = require('../lib/auth');
+const { rateLimit } = require('../lib/rate-limit');
 
 // Express Router
 const router = express.Router();
 
+// Rate Limits
+//
+// Each route can be limited per IP address, per account, or both. Adjust
+// these as needed.
+const minutes = n => 1000 * 60 * n;
+const limits = {
+  register: rateLimit({ name: 'register', windowMs: minutes(60), max: 10 }),
+  verify: rateLimit({ name: 'verify', windowMs: minutes(15), max: 30 }),
+  resendVerification: rateLimit({
+    name: 'resend-verification',
+    windowMs: minutes(60),
+    max: 10
+  }),
+  resendVerificationByAccount: rateLimit({
+    name: 'resend-verification',
+    by: 'account',
+    windowMs: minutes(60),
+    max: 5
+  }),
+  loginByIp: rateLimit({ name: 'login', windowMs: minutes(15), max: 30 }),
+  loginByAccount: rateLimit({
+    name: 'login',
+    by: 'account',
+    windowMs: minutes(15),
+    max: 10
+  }),
+  secondFactor: rateLimit({
+    name: 'second-factor',
+    windowMs: minutes(15),
+    max: 15
+  }),
+  requestMagicLink: rateLimit({
+    name: 'request-magic-link',
+    windowMs: minutes(60),
+    max: 10
+  }),
+  requestMagicLinkByAccount: rateLimit({
+    name: 'request-magic-link',
+    by: 'account',
+    windowMs: minutes(60),
+    max: 5
+  }),
+  refresh: rateLimit({ name: 'refresh', windowMs: minutes(15), max: 60 }),
+  requestChangePassword: rateLimit({
+    name: 'request-change-password',
+    windowMs: minutes(60),
+    max: 5
+  }),
+  requestChangePasswordByAccount: rateLimit({
+    name: 'request-change-password',
+    by: 'account',
+    windowMs: minutes(60),
+    max: 3
+  }),
+  changePassword: rateLimit({
+    name: 'change-password',
+    windowMs: minutes(15),
+    max: 15
+  }),
+  changePasswordAuthenticated: rateLimit({
+    name: 'change-password-authenticated',
+    by: 'account',
+    windowMs: minutes(15),
+    max: 5
+  }),
+  requestChangeEmail: rateLimit({
+    name: 'request-change-email',
+    by: 'account',
+    windowMs: minutes(60),
+    max: 5
+  })
+};
+
 // Routes
-router.post('/register', user.register);
-router.get('/verify', user.verify);
-router.post('/login', user.login);
+router.post('/register', limits.register, user.register);
+router.post(
+  '/resend-verification',
+  limits.resendVerification,
+  limits.resendVerificationByAccount,
+  user.resendVerification
+);
+router.get('/verify', limits.verify, user.verify);
+router.post('/login', limits.loginByIp, limits.loginByAccount, user.login);
+router.post('/login-two-factor', limits.secondFactor, twoFactor.login);
+router.post(
+  '/login-recovery',
+  limits.loginByIp,
+  limits.loginByAccount,
+  recoveryCode.login
+);
+router.post(
+  '/request-magic-link',
+  limits.requestMagicLink,
+  limits.requestMagicLinkByAccount,
+  magicLink.request
+);
+router.get('/verify-magic-link', limits.verify, magicLink.confirm);
+router.post(
+  '/verify-magic-link',
+  limits.loginByIp,
+  limits.loginByAccount,
+  magicLink.login
+);
+router.get('/oidc/providers', identity.providers);
+router.get('/oidc/:provider/authorize', limits.loginByIp, identity.authorize);
+router.get(
+  '/oidc/:provider/callback',
+  limits.loginByIp,
+  auth.checkLoginToken,
+  user.loginWithProvider
+);
+router.post(
+  '/oidc/:provider/callback',
+  limits.loginByIp,
+  auth.checkLoginToken,
+  user.loginWithProvider
+);
+router.post('/refresh', limits.refresh, refreshToken.refresh);
+router.get('/unlock', limits.verify, user.unlock);
 router.get('/logout', auth.requireLoginToken, user.logout);
 router.get('/logout-all', auth.requireLoginToken, user.logoutAll);
 router.delete('/delete', auth.requireLoginToken, user.remove);
 
-router.post('/request-change-password', passToken.request);
-router.get('/verify-change-password', passToken.authenticate);
-router.post('/change-password', passToken.changePassword);
+router.get('/me', auth.requireLoginToken, profile.get);
+router.patch('/me', auth.requireLoginToken, profile.update);
+router.get('/sessions', auth.requireLoginToken, session.list);
+router.delete('/sessions/:id', auth.requireLoginToken, session.remove);
+router.get('/activity', auth.requireLoginToken, auditEvent.listOwn);
+router.get('/emails', auth.requireLoginToken, emailMessage.listOwn);
+router.get('/identities', auth.requireLoginToken, identity.list);
+router.post('/identities/:provider', auth.requireLoginToken, identity.link);
+router.delete('/identities/:provider', auth.requireLoginToken, identity.unlink);
+
+router.post(
+  '/request-change-password',
+  limits.requestChangePassword,
+  limits.requestChangePasswordByAccount,
+  passToken.request
+);
+router.get(
+  '/verify-change-password',
+  limits.changePassword,
+  passToken.authenticate
+);
+router.post(
+  '/change-password',
+  limits.changePassword,
+  passToken.changePassword
+);
+router.post(
+  '/change-password-authenticated',
+  auth.requireLoginToken,
+  limits.changePasswordAuthenticated,
+  user.changePassword
+);
 
 router.post(
   '/request-change-email',
   auth.requireLoginToken,
+  limits.requestChangeEmail,
   emailToken.request
 );
 router.get(
@@ -37,5 +192,11 @@ router.get(
   emailToken.authenticate
 );
 
+router.post('/two-factor/enroll', auth.requireLoginToken, twoFactor.enroll);
+router.post('/two-factor/confirm', auth.requireLoginToken, twoFactor.confirm);
+router.post('/two-factor/disable', auth.requireLoginToken, twoFactor.disable);
+
+router.post('/recovery-codes', auth.requireLoginToken, recoveryCode.generate);
+
 // Exports
 module.exports = router;
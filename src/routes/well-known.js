@@ -0,0 +1,19 @@
+/**
+ * @file src/routes/well-known.js
+ *
+ * Routing for our well-known URIs, which other services look for at fixed
+ * paths.
+ */
+
+// Imports
+const express = require('express');
+const wellKnown = require('../controllers/well-known');
+
+// Express Router
+const router = express.Router();
+
+// Routes
+router.get('/jwks.json', wellKnown.jwks);
+
+// Exports
+module.exports = router;
@@ -0,0 +1,16 @@
+/**
+ * @file test/env.js
+ *
+ * Provides the environment variables needed to load our models in tests. No
+ * database connection is needed.
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.DATABASE_URI = 'mongodb://localhost';
+process.env.EMAIL_TRANSPORT_METHOD = 'local';
+process.env.JWT_SECRET = 'test';
+process.env.USING_EXTERNAL_FRONTEND = 'false';
+process.env.HASH_COST = '4';
+
+// Imports
+require('../src/lib/env');
@@ -0,0 +1,215 @@
+/**
+ * @file test/magic-link.test.js
+ *
+ * Tests for requesting login links and logging in with them. Tokens and
+ * users are kept in memory rather than in the database.
+ */
+
+// Imports
+require('./env');
+const test = require('node:test');
+const assert = require('assert');
+const { send } = require('./request');
+const { createMemoryStore } = require('./store');
+const userModel = require('../src/models/user');
+const magicLinkTokenModel = require('../src/models/magic-link-token');
+const refreshTokenModel = require('../src/models/refresh-token');
+const sendEmail = require('../src/lib/send-email');
+const magicLink = require('../src/controllers/magic-link');
+
+// Keep the tokens and users in memory, and keep the slugs which would have
+// been emailed.
+const tokens = createMemoryStore(magicLinkTokenModel);
+createMemoryStore(userModel);
+createMemoryStore(refreshTokenModel);
+const sent = [];
+sendEmail.magicLink = async (emailAddress, { slug }) => {
+  sent.push({ emailAddress, slug });
+};
+
+process.env.MAGIC_LINK_ENABLED = 'true';
+
+/**
+ * Creates a verified user.
+ *
+ * @param {string} emailAddress The user's email address.
+ * @param {object} fields Any other fields to set on the user.
+ * @return {Promise<object>} The user.
+ */
+const createUser = (emailAddress, fields = {}) =>
+  new userModel({ emailAddress, verified: true, ...fields }).save();
+
+/**
+ * Finds the login links held for an email address.
+ *
+ * @param {string} emailAddress The email address.
+ * @return {object[]} The links' tokens.
+ */
+const findLinks = emailAddress =>
+  [...tokens.values()].filter(token => token.emailAddress === emailAddress);
+
+test('emails a login link to a verified user', async () => {
+  const emailAddress = 'first@example.com';
+  await createUser(emailAddress);
+
+  const response = await send(magicLink.request, { body: { emailAddress } });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.browserKey, undefined);
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].emailAddress, emailAddress);
+  assert.strictEqual(findLinks(emailAddress).length, 1);
+});
+
+test('gives the same response without sending links to unknown users', async () => {
+  const emailAddress = 'nobody@example.com';
+  const before = sent.length;
+  const response = await send(magicLink.request, { body: { emailAddress } });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(sent.length, before);
+  assert.strictEqual(findLinks(emailAddress).length, 0);
+});
+
+test("only replaces a user's link when sending them another", async () => {
+  const emailAddress = 'second@example.com';
+  const user = await createUser(emailAddress);
+  await send(magicLink.request, { body: { emailAddress } });
+  const [pending] = findLinks(emailAddress);
+
+  // Requests for a locked user don't void the link they already have.
+  user.lockedUntil = Date.now() + 60 * 1000;
+  await user.save();
+  const before = sent.length;
+  await send(magicLink.request, { body: { emailAddress } });
+  assert.strictEqual(sent.length, before);
+  assert.deepStrictEqual(findLinks(emailAddress).map(token => token._id), [
+    pending._id
+  ]);
+
+  user.lockedUntil = null;
+  await user.save();
+  await send(magicLink.request, { body: { emailAddress } });
+  assert.strictEqual(sent.length, before + 1);
+  const links = findLinks(emailAddress);
+  assert.strictEqual(links.length, 1);
+  assert.notStrictEqual(String(links[0]._id), String(pending._id));
+});
+
+test('ties a link to the browser which requested it', async () => {
+  const emailAddress = 'third@example.com';
+  await createUser(emailAddress);
+
+  const response = await send(magicLink.request, {
+    body: { emailAddress, sameBrowser: true }
+  });
+  const { browserKey } = response.body;
+  assert.ok(browserKey);
+  assert.strictEqual(response.cookies.magic_link.value, browserKey);
+  assert.strictEqual(response.cookies.magic_link.options.httpOnly, true);
+
+  // The page shown without an external frontend posts the slug, and the
+  // browser sends its cookie along with it.
+  const { slug } = sent[sent.length - 1];
+  const page = await send(magicLink.confirm, {
+    query: { emailAddress, slug }
+  });
+  assert.strictEqual(page.status, 200);
+  assert.ok(page.body.includes(`value="${slug}"`));
+
+  const elsewhere = await send(magicLink.login, {
+    body: { emailAddress, slug }
+  });
+  assert.strictEqual(elsewhere.status, 401);
+  const forged = await send(magicLink.login, {
+    body: { emailAddress, slug },
+    headers: { cookie: 'magic_link=forged' }
+  });
+  assert.strictEqual(forged.status, 401);
+
+  const login = await send(magicLink.login, {
+    body: { emailAddress, slug },
+    headers: { cookie: `other=value; magic_link=${browserKey}` }
+  });
+  assert.strictEqual(login.status, 200);
+  assert.ok(login.body.token);
+  assert.strictEqual(login.cookies.magic_link.value, null);
+});
+
+test('accepts browser keys posted by external frontends', async () => {
+  const emailAddress = 'fourth@example.com';
+  await createUser(emailAddress);
+
+  const response = await send(magicLink.request, {
+    body: { emailAddress, sameBrowser: true }
+  });
+  const { slug } = sent[sent.length - 1];
+  const login = await send(magicLink.login, {
+    body: { emailAddress, slug, browserKey: response.body.browserKey }
+  });
+  assert.strictEqual(login.status, 200);
+});
+
+test('logs a user in once with a link', async () => {
+  const emailAddress = 'fifth@example.com';
+  await createUser(emailAddress);
+  await send(magicLink.request, { body: { emailAddress } });
+  const { slug } = sent[sent.length - 1];
+
+  const wrong = await send(magicLink.login, {
+    body: { emailAddress, slug: 'wrong' }
+  });
+  assert.strictEqual(wrong.status, 401);
+  assert.strictEqual(
+    (await userModel.findOne({ emailAddress })).loginAttempts,
+    1
+  );
+
+  const login = await send(magicLink.login, { body: { emailAddress, slug } });
+  assert.strictEqual(login.status, 200);
+  assert.ok(login.body.token);
+  assert.ok(login.body.refreshToken);
+  assert.strictEqual(findLinks(emailAddress).length, 0);
+
+  const replay = await send(magicLink.login, { body: { emailAddress, slug } });
+  assert.strictEqual(replay.status, 401);
+});
+
+test('only lets one of two concurrent requests use a link', async () => {
+  const emailAddress = 'sixth@example.com';
+  await createUser(emailAddress);
+  await send(magicLink.request, { body: { emailAddress } });
+  const { slug } = sent[sent.length - 1];
+
+  const responses = await Promise.all([
+    send(magicLink.login, { body: { emailAddress, slug } }),
+    send(magicLink.login, { body: { emailAddress, slug } })
+  ]);
+  assert.deepStrictEqual(responses.map(response => response.status).sort(), [
+    200,
+    401
+  ]);
+});
+
+test('refuses every request while login links are disabled', async () => {
+  const emailAddress = 'seventh@example.com';
+  await createUser(emailAddress);
+  process.env.MAGIC_LINK_ENABLED = 'false';
+
+  try {
+    const before = sent.length;
+    const request = await send(magicLink.request, { body: { emailAddress } });
+    assert.strictEqual(request.status, 404);
+    assert.strictEqual(sent.length, before);
+
+    const page = await send(magicLink.confirm, {
+      query: { emailAddress, slug: 'slug' }
+    });
+    assert.strictEqual(page.status, 404);
+    const login = await send(magicLink.login, {
+      body: { emailAddress, slug: 'slug' }
+    });
+    assert.strictEqual(login.status, 404);
+  } finally {
+    process.env.MAGIC_LINK_ENABLED = 'true';
+  }
+});
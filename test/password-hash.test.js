@@ -0,0 +1,65 @@
+/**
+ * @file test/password-hash.test.js
+ *
+ * Tests for hashing and checking passwords.
+ */
+
+// Imports
+require('./env');
+const test = require('node:test');
+const assert = require('assert');
+const bcryptjs = require('bcryptjs');
+const passwordHash = require('../src/lib/password-hash');
+
+process.env.PASSWORD_HASH_ALGORITHM = 'bcrypt';
+
+test('counts every character of long passwords hashed with bcrypt', async () => {
+  const password = 'xK9#mQ2$vL7!pR4z'.repeat(5);
+  const hash = await passwordHash.hashPassword(password);
+
+  assert.ok(hash.startsWith('$bcrypt-sha256$v=1$2'));
+  assert.strictEqual(passwordHash.identifyAlgorithm(hash), 'bcrypt');
+  assert.strictEqual(await passwordHash.verifyPassword(password, hash), true);
+  assert.strictEqual(
+    await passwordHash.verifyPassword(`${password.slice(0, 72)}x`, hash),
+    false
+  );
+  assert.strictEqual(
+    await passwordHash.verifyPassword(password.slice(0, 72), hash),
+    false
+  );
+  assert.strictEqual(passwordHash.passwordNeedsRehash(hash), false);
+});
+
+test('still checks plain bcrypt hashes, and re-hashes them', async () => {
+  const password = 'correct horse battery staple';
+  const hash = await bcryptjs.hash(password, 4);
+
+  assert.strictEqual(passwordHash.identifyAlgorithm(hash), 'bcrypt');
+  assert.strictEqual(await passwordHash.verifyPassword(password, hash), true);
+  assert.strictEqual(await passwordHash.verifyPassword('wrong', hash), false);
+  assert.strictEqual(passwordHash.passwordNeedsRehash(hash), true);
+});
+
+test('re-hashes bcrypt hashes made at a lower cost', async () => {
+  const hash = await passwordHash.hashPassword('correct horse battery staple');
+
+  process.env.HASH_COST = '5';
+  try {
+    assert.strictEqual(passwordHash.passwordNeedsRehash(hash), true);
+  } finally {
+    process.env.HASH_COST = '4';
+  }
+});
+
+test('re-hashes passwords hashed with another algorithm', async () => {
+  const password = 'correct horse battery staple';
+  process.env.PASSWORD_HASH_ALGORITHM = 'scrypt';
+  process.env.SCRYPT_COST = '10';
+  const hash = await passwordHash.hashPassword(password);
+  process.env.PASSWORD_HASH_ALGORITHM = 'bcrypt';
+
+  assert.strictEqual(passwordHash.identifyAlgorithm(hash), 'scrypt');
+  assert.strictEqual(await passwordHash.verifyPassword(password, hash), true);
+  assert.strictEqual(passwordHash.passwordNeedsRehash(hash), true);
+});
@@ -0,0 +1,69 @@
+/**
+ * @file test/password-strength.test.js
+ *
+ * Tests for our password strength estimates.
+ */
+
+// Imports
+const test = require('node:test');
+const assert = require('assert');
+const { estimatePasswordStrength } = require('../src/lib/password-strength');
+
+test('scores common passwords and words as weak', () => {
+  ['password', 'Password1', 'p@ssw0rd', 'drowssap'].forEach(password => {
+    assert.strictEqual(estimatePasswordStrength(password).score, 0, password);
+  });
+});
+
+test('scores long random passwords as strong', () => {
+  ['xK9#mQ2$vL7!pR4z', 'correct horse battery staple'].forEach(password => {
+    assert.strictEqual(estimatePasswordStrength(password).score, 4, password);
+  });
+});
+
+test('scores passwords based on the user details as weak', () => {
+  const { score, feedback } = estimatePasswordStrength('jsmith2019', [
+    'jsmith@example.com'
+  ]);
+
+  assert.ok(score <= 1);
+  assert.match(feedback.warning, /email address or name/);
+});
+
+test('matches keyboard walks along and across rows', () => {
+  ['xcvbnm,./', 'vfr4cde3', 'mju765', '!QAZ@WSX'].forEach(password => {
+    const { score, feedback } = estimatePasswordStrength(password);
+    assert.ok(score <= 1, password);
+    assert.match(feedback.warning, /keyboard|rows of keys/, password);
+  });
+});
+
+test('matches walks which start again from the next key over', () => {
+  [
+    '1qaz2wsx3edc4rfv',
+    'zaq1xsw2cde3vfr4',
+    'qwertyuiopasdfghjkl',
+    'poiuytrewqlkjhgfdsa'
+  ].forEach(password => {
+    const { score, feedback } = estimatePasswordStrength(password);
+    assert.ok(score <= 1, password);
+    assert.match(feedback.warning, /keyboard|rows of keys/, password);
+  });
+});
+
+test('only treats overlapping keys in other rows as neighbours', () => {
+  // 'w' sits below '2' and '3', not '1'.
+  assert.ok(
+    estimatePasswordStrength('xsw1').guessesLog10 >
+      estimatePasswordStrength('xsw2').guessesLog10
+  );
+});
+
+test('estimates long passwords quickly', () => {
+  const password = 'Zq9!kLmN0pQrStUvWxYz'.repeat(7);
+  const start = Date.now();
+  const { score } = estimatePasswordStrength(password);
+
+  assert.strictEqual(score, 4);
+  assert.ok(Date.now() - start < 1000);
+});
@@ -0,0 +1,100 @@
+/**
+ * @file test/password-token.test.js
+ *
+ * Tests for changing a password with the grant given out by a password
+ * reset token. Tokens and users are kept in memory rather than in the
+ * database.
+ */
+
+// Imports
+require('./env');
+const test = require('node:test');
+const assert = require('assert');
+const { send } = require('./request');
+const { createMemoryStore } = require('./store');
+const userModel = require('../src/models/user');
+const passTokenModel = require('../src/models/password-token');
+const refreshTokenModel = require('../src/models/refresh-token');
+const sendEmail = require('../src/lib/send-email');
+const { changePassword } = require('../src/controllers/password-token');
+
+// Keep the tokens and users in memory, and don't send emails.
+const tokens = createMemoryStore(passTokenModel);
+createMemoryStore(userModel);
+createMemoryStore(refreshTokenModel);
+sendEmail.passwordChanged = async () => {};
+
+const newPassword = 'correct horse battery staple';
+
+/**
+ * Creates a user with an authenticated password reset token.
+ *
+ * @param {string} emailAddress The user's email address.
+ * @return {Promise<string>} The token's grant.
+ */
+const authenticate = async emailAddress => {
+  const user = new userModel({ emailAddress, verified: true });
+  await user.setPassword('an old password to replace');
+  await user.save();
+
+  const token = new passTokenModel({ emailAddress, authenticated: true });
+  const grant = await token.generateGrant();
+  await token.save();
+
+  return grant;
+};
+
+/**
+ * Changes a password with a grant.
+ *
+ * @param {string} grant The grant.
+ * @param {string} password The new password.
+ * @return {Promise<{ status: number, body: object }>} The response.
+ */
+const change = (grant, password = newPassword) =>
+  send(changePassword, { body: { grant, password, confirm: password } });
+
+test('changes the password, spending the grant', async () => {
+  const emailAddress = 'first@example.com';
+  const grant = await authenticate(emailAddress);
+
+  assert.strictEqual((await change(grant)).status, 200);
+  const user = await userModel.findOne({ emailAddress });
+  assert.strictEqual(await user.checkPassword(newPassword), true);
+
+  const [token] = tokens.values();
+  assert.strictEqual(token.spent, true);
+  assert.strictEqual(token.grantHash, null);
+  assert.strictEqual(
+    (await change(grant, 'another new passphrase')).status,
+    401
+  );
+});
+
+test('leaves the grant unspent when the password is refused', async () => {
+  const grant = await authenticate('second@example.com');
+
+  assert.strictEqual((await change(grant, 'password')).status, 400);
+  assert.strictEqual((await change(grant)).status, 200);
+});
+
+test('only lets one of two concurrent requests spend a grant', async () => {
+  const grant = await authenticate('third@example.com');
+  const responses = await Promise.all([
+    change(grant),
+    change(grant, 'another new passphrase')
+  ]);
+
+  assert.deepStrictEqual(responses.map(response => response.status).sort(), [
+    200,
+    401
+  ]);
+});
+
+test('refuses malformed and unknown grants', async () => {
+  const grant = await authenticate('fourth@example.com');
+  const [id] = grant.split('.');
+
+  assert.strictEqual((await change('grant')).status, 401);
+  assert.strictEqual((await change(`${id}.wrong`)).status, 401);
+});
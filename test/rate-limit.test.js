@@ -0,0 +1,147 @@
+/**
+ * @file test/rate-limit.test.js
+ *
+ * Tests for our rate limiting middleware and its stores.
+ */
+
+// Imports
+require('./env');
+const test = require('node:test');
+const assert = require('assert');
+const rateLimitModel = require('../src/models/rate-limit');
+const {
+  rateLimit,
+  createMemoryStore,
+  createMongoStore
+} = require('../src/lib/rate-limit');
+
+/**
+ * Passes a request through a rate limiter at the given time.
+ *
+ * @param {function} limiter The rate limiting middleware.
+ * @param {number} now The time of the request, in milliseconds.
+ * @param {object} req The request.
+ * @return {Promise<{ status: number, headers: object }>} The response.
+ */
+const send = (limiter, now, req = { ip: '203.0.113.1', body: {} }) => {
+  const realNow = Date.now;
+  Date.now = () => now;
+
+  return new Promise((resolve, reject) => {
+    const headers = {};
+    const res = {
+      getHeader: name => headers[name],
+      set: (name, value) => {
+        headers[name] = value;
+      },
+      status: code => {
+        res.statusCode = code;
+        return res;
+      },
+      json: () => resolve({ status: res.statusCode, headers })
+    };
+
+    limiter(req, res, err =>
+      err ? reject(err) : resolve({ status: 200, headers })
+    );
+  }).finally(() => {
+    Date.now = realNow;
+  });
+};
+
+// The start of a window, for limits with one-second windows.
+const start = 1000 * 1000;
+
+test('limits requests within a window', async () => {
+  const limiter = rateLimit({
+    name: 'test',
+    windowMs: 1000,
+    max: 2,
+    store: createMemoryStore()
+  });
+
+  assert.strictEqual((await send(limiter, start)).status, 200);
+  const second = await send(limiter, start + 100);
+  assert.strictEqual(second.status, 200);
+  assert.strictEqual(second.headers['RateLimit-Remaining'], '0');
+
+  const third = await send(limiter, start + 200);
+  assert.strictEqual(third.status, 429);
+  assert.strictEqual(third.headers['Retry-After'], '1');
+
+  // Other clients have limits of their own.
+  const other = { ip: '203.0.113.2', body: {} };
+  assert.strictEqual((await send(limiter, start + 300, other)).status, 200);
+});
+
+test('weights the previous window by how much of it still overlaps', async () => {
+  const options = { windowMs: 1000, max: 2 };
+  const carried = rateLimit({
+    ...options,
+    name: 'carried',
+    store: createMemoryStore()
+  });
+  const expired = rateLimit({
+    ...options,
+    name: 'expired',
+    store: createMemoryStore()
+  });
+
+  for (const limiter of [carried, expired]) {
+    for (let i = 0; i < 3; ++i) {
+      await send(limiter, start + i);
+    }
+  }
+
+  // Right after the window ends, the previous window still counts in full.
+  assert.strictEqual((await send(carried, start + 1000)).status, 429);
+
+  // Near the end of the next window, little of it does.
+  assert.strictEqual((await send(expired, start + 1900)).status, 200);
+});
+
+test('only limits account requests which name an account', async () => {
+  const limiter = rateLimit({
+    name: 'account',
+    by: 'account',
+    windowMs: 1000,
+    max: 1,
+    store: createMemoryStore()
+  });
+  const named = {
+    ip: '203.0.113.1',
+    body: { emailAddress: 'User@Example.com' }
+  };
+  const sameAccount = {
+    ip: '203.0.113.2',
+    body: { emailAddress: 'user@example.com' }
+  };
+
+  for (let i = 0; i < 3; ++i) {
+    assert.strictEqual((await send(limiter, start + i)).status, 200);
+  }
+
+  assert.strictEqual((await send(limiter, start, named)).status, 200);
+  assert.strictEqual((await send(limiter, start, sameAccount)).status, 429);
+});
+
+test('retries a database counter which another request created first', async () => {
+  const findOneAndUpdate = rateLimitModel.findOneAndUpdate;
+  let calls = 0;
+  rateLimitModel.findOneAndUpdate = async () => {
+    if (++calls === 1) {
+      const err = new Error('E11000 duplicate key error');
+      err.code = 11000;
+      throw err;
+    }
+
+    return { count: 2 };
+  };
+
+  try {
+    assert.strictEqual(await createMongoStore().increment('key', 1000), 2);
+    assert.strictEqual(calls, 2);
+  } finally {
+    rateLimitModel.findOneAndUpdate = findOneAndUpdate;
+  }
+});
@@ -0,0 +1,104 @@
+/**
+ * @file test/refresh-token.test.js
+ *
+ * Tests for exchanging refresh tokens, and revoking a token's family when a
+ * spent token is used again. Tokens and users are kept in memory rather than
+ * in the database.
+ */
+
+// Imports
+require('./env');
+const test = require('node:test');
+const assert = require('assert');
+const { send } = require('./request');
+const { matches, createMemoryStore } = require('./store');
+const userModel = require('../src/models/user');
+const refreshTokenModel = require('../src/models/refresh-token');
+const { refresh } = require('../src/controllers/refresh-token');
+
+// Keep the tokens and users in memory. Users are shared between requests,
+// so that their sessions can be checked.
+createMemoryStore(refreshTokenModel);
+const users = new Map();
+userModel.prototype.save = async function() {
+  users.set(this._id.toString(), this);
+  return this;
+};
+userModel.findOne = async query =>
+  [...users.values()].find(user => matches(user, query)) || null;
+
+/**
+ * Logs a new user in, starting a session with a refresh token.
+ *
+ * @return {Promise<{ user: object, refreshToken: string }>} The user and token.
+ */
+const logIn = async () => {
+  const user = new userModel({
+    emailAddress: 'user@example.com',
+    verified: true
+  });
+  const { refreshToken } = await user.generateLoginToken();
+
+  return { user, refreshToken };
+};
+
+test('exchanges a refresh token for a new one in the same session', async () => {
+  const { user, refreshToken } = await logIn();
+  const first = await send(refresh, { body: { refreshToken } });
+
+  assert.strictEqual(first.status, 200);
+  assert.ok(first.body.token);
+  assert.notStrictEqual(first.body.refreshToken, refreshToken);
+  assert.strictEqual(user.sessions.length, 1);
+
+  const second = await send(refresh, {
+    body: { refreshToken: first.body.refreshToken }
+  });
+  assert.strictEqual(second.status, 200);
+  assert.strictEqual(user.sessions.length, 1);
+});
+
+test('revokes the family when a spent token is used again', async () => {
+  const { user, refreshToken } = await logIn();
+  const first = await send(refresh, { body: { refreshToken } });
+  assert.strictEqual(first.status, 200);
+
+  const replay = await send(refresh, { body: { refreshToken } });
+  assert.strictEqual(replay.status, 401);
+  assert.strictEqual(user.sessions.length, 0);
+
+  // The token issued in the exchange is revoked along with the session.
+  const renewed = await send(refresh, {
+    body: { refreshToken: first.body.refreshToken }
+  });
+  assert.strictEqual(renewed.status, 401);
+});
+
+test('only lets one of two concurrent requests spend a token', async () => {
+  const { user, refreshToken } = await logIn();
+  const responses = await Promise.all([
+    send(refresh, { body: { refreshToken } }),
+    send(refresh, { body: { refreshToken } })
+  ]);
+
+  assert.deepStrictEqual(responses.map(response => response.status).sort(), [
+    200,
+    401
+  ]);
+  assert.strictEqual(user.sessions.length, 0);
+});
+
+test('refuses malformed and unknown tokens', async () => {
+  const { refreshToken } = await logIn();
+  const [id] = refreshToken.split('.');
+
+  assert.strictEqual((await send(refresh, {})).status, 400);
+  assert.strictEqual(
+    (await send(refresh, { body: { refreshToken: 'token' } })).status,
+    401
+  );
+  assert.strictEqual(
+    (await send(refresh, { body: { refreshToken: `${id}.wrong` } })).status,
+    401
+  );
+});
@@ -0,0 +1,67 @@
+/**
+ * @file test/request.js
+ *
+ * Sends requests to our controller functions without a server, and stores
+ * the audit log in memory rather than in the database.
+ */
+
+// Imports
+const auditEventModel = require('../src/models/audit-event');
+
+// Keep the audit log in memory.
+const auditEvents = [];
+auditEventModel.create = async fields => {
+  auditEvents.push(fields);
+  return fields;
+};
+
+/**
+ * Sends a request to a controller function.
+ *
+ * @param {function} endpoint The controller function, as used by our routes.
+ * @param {object} req The request's body, query and headers.
+ * @return {Promise<{ status: number, body: object, cookies: object }>} The response.
+ */
+const send = (endpoint, req = {}) =>
+  new Promise((resolve, reject) => {
+    const cookies = {};
+    const res = {
+      statusCode: 200,
+      status: code => {
+        res.statusCode = code;
+        return res;
+      },
+      cookie: (name, value, options) => {
+        cookies[name] = { value, options };
+        return res;
+      },
+      clearCookie: name => {
+        cookies[name] = { value: null };
+        return res;
+      },
+      type: () => res,
+      send: body => resolve({ status: res.statusCode, body, cookies }),
+      json: body => resolve({ status: res.statusCode, body, cookies }),
+      end: () => resolve({ status: res.statusCode, body: null, cookies })
+    };
+
+    endpoint(
+      {
+        res,
+        ip: '127.0.0.1',
+        body: {},
+        params: {},
+        query: {},
+        headers: {},
+        ...req
+      },
+      res,
+      err => (err ? reject(err) : resolve({ status: 404, cookies }))
+    );
+  });
+
+// Exports
+module.exports = {
+  auditEvents,
+  send
+};
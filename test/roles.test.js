@@ -0,0 +1,68 @@
+/**
+ * @file test/roles.test.js
+ *
+ * Tests for our roles and the permissions they grant.
+ */
+
+// Imports
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Load our roles with a custom roles file, which is read when the module is
+// first loaded.
+const rolesFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'roles-'));
+const rolesFile = path.join(rolesFolder, 'roles.json');
+fs.writeFileSync(
+  rolesFile,
+  JSON.stringify({
+    moderator: { inherits: ['user'], permissions: ['users.read'] },
+    auditor: ['audit.*'],
+    support: ['profiles.read'],
+    looping: { inherits: ['looping', 'auditor'] }
+  })
+);
+process.env.ROLES_FILE = rolesFile;
+const roles = require('../src/lib/roles');
+delete process.env.ROLES_FILE;
+fs.rmSync(rolesFolder, { recursive: true });
+
+test('grants the permissions of a role and the roles it inherits', () => {
+  assert.strictEqual(roles.hasPermission(['support'], 'users.unlock'), true);
+  assert.strictEqual(roles.hasPermission(['support'], 'users.delete'), false);
+  assert.strictEqual(roles.hasPermission(['user'], 'users.read'), false);
+  assert.strictEqual(
+    roles.hasPermission(['user', 'support'], 'audit.read'),
+    true
+  );
+});
+
+test('grants every permission for wildcards', () => {
+  assert.strictEqual(roles.hasPermission(['admin'], 'users.delete'), true);
+  assert.strictEqual(roles.hasPermission(['auditor'], 'audit.export'), true);
+  assert.strictEqual(roles.hasPermission(['auditor'], 'users.read'), false);
+});
+
+test('adds custom roles, and extends built-in roles', () => {
+  assert.deepStrictEqual(roles.getRoleNames().sort(), [
+    'admin',
+    'auditor',
+    'looping',
+    'moderator',
+    'support',
+    'user'
+  ]);
+  assert.strictEqual(roles.hasPermission(['moderator'], 'users.read'), true);
+  assert.strictEqual(roles.hasPermission(['support'], 'profiles.read'), true);
+  assert.strictEqual(roles.hasPermission(['admin'], 'profiles.read'), true);
+});
+
+test('ignores unknown roles and inheritance loops', () => {
+  assert.strictEqual(roles.isRole('nobody'), false);
+  assert.strictEqual(roles.isRole('hasOwnProperty'), false);
+  assert.strictEqual(roles.hasPermission(['nobody'], 'users.read'), false);
+  assert.strictEqual(roles.hasPermission(undefined, 'users.read'), false);
+  assert.strictEqual(roles.hasPermission(['looping'], 'audit.read'), true);
+});
@@ -0,0 +1,67 @@
+/**
+ * @file test/store.js
+ *
+ * Keeps a model's documents in memory rather than in the database, so that
+ * controllers using the model can be tested without one.
+ */
+
+/**
+ * Checks whether a document matches a simple query.
+ *
+ * @param {object} doc The document.
+ * @param {object} query The query, which may use '$ne'.
+ * @return {boolean} Whether the document matches.
+ */
+const matches = (doc, query) =>
+  Object.entries(query).every(([key, value]) =>
+    value && value.$ne !== undefined
+      ? String(doc[key]) !== String(value.$ne)
+      : String(doc[key]) === String(value)
+  );
+
+/**
+ * Replaces a model's database functions with ones using an in-memory store.
+ * Each query loads its own copy of a document, as it would from the
+ * database, so that concurrent requests don't share changes until saved.
+ *
+ * @param {Model} model The model.
+ * @return {Map} The store, of documents keyed by their IDs.
+ */
+const createMemoryStore = model => {
+  const docs = new Map();
+  const load = doc => (doc ? model.hydrate({ ...doc }) : null);
+  const findAll = query =>
+    [...docs.values()].filter(doc => matches(doc, query));
+
+  model.prototype.save = async function() {
+    docs.set(this._id.toString(), this.toObject());
+    return this;
+  };
+  model.prototype.remove = async function() {
+    docs.delete(this._id.toString());
+    return this;
+  };
+  model.create = fields => new model(fields).save();
+  model.findById = async id => load(docs.get(String(id)));
+  model.findOne = async query => load(findAll(query)[0]);
+  model.find = async query => findAll(query).map(load);
+  model.findOneAndUpdate = async (query, update) => {
+    const [doc] = findAll(query);
+    return doc ? load(Object.assign(doc, update)) : null;
+  };
+  model.findOneAndDelete = async query => {
+    const [doc] = findAll(query);
+    return doc && docs.delete(doc._id.toString()) ? load(doc) : null;
+  };
+  model.deleteMany = async query => {
+    findAll(query).forEach(doc => docs.delete(doc._id.toString()));
+  };
+
+  return docs;
+};
+
+// Exports
+module.exports = {
+  matches,
+  createMemoryStore
+};
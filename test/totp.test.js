@@ -0,0 +1,66 @@
+/**
+ * @file test/totp.test.js
+ *
+ * Tests for our time-based one-time passwords.
+ */
+
+// Imports
+const test = require('node:test');
+const assert = require('assert');
+const totp = require('../src/lib/totp');
+
+// The SHA-1 secret from RFC 6238's test vectors, '12345678901234567890'.
+const rfcSecret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+test('generates the codes given in RFC 6238', () => {
+  [
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1234567890, '005924'],
+    [2000000000, '279037']
+  ].forEach(([seconds, code]) => {
+    const step = totp.getTimeStep(seconds * 1000);
+    assert.strictEqual(totp.generateCode(rfcSecret, step), code);
+  });
+});
+
+test('accepts codes from the current and neighbouring time steps', () => {
+  const secret = totp.generateSecret();
+  const current = totp.getTimeStep();
+
+  [current - 1, current, current + 1].forEach(step => {
+    assert.strictEqual(
+      totp.checkCode(secret, totp.generateCode(secret, step)),
+      step
+    );
+  });
+});
+
+test('rejects codes from other time steps and malformed codes', () => {
+  const secret = totp.generateSecret();
+  const current = totp.getTimeStep();
+  const stale = totp.generateCode(secret, current - 2);
+
+  // A stale code may collide with a current one by chance.
+  const recent = [current - 1, current, current + 1].map(step =>
+    totp.generateCode(secret, step)
+  );
+  if (!recent.includes(stale)) {
+    assert.strictEqual(totp.checkCode(secret, stale), -1);
+  }
+
+  assert.strictEqual(totp.checkCode(secret, '12345'), -1);
+  assert.strictEqual(totp.checkCode(secret, undefined), -1);
+  assert.strictEqual(totp.checkCode(undefined, '123456'), -1);
+});
+
+test('builds an otpauth URI for authenticator apps', () => {
+  process.env.TWO_FACTOR_ISSUER = 'The Website';
+  const uri = totp.createUri(rfcSecret, 'user@example.com');
+
+  assert.strictEqual(
+    uri,
+    `otpauth://totp/The%20Website%3Auser%40example.com?secret=${rfcSecret}` +
+      '&issuer=The%20Website&algorithm=SHA1&digits=6&period=30'
+  );
+});
@@ -0,0 +1,191 @@
+/**
+ * @file test/user.test.js
+ *
+ * Tests for the user model's methods which don't need a database.
+ */
+
+// Imports
+require('./env');
+const test = require('node:test');
+const assert = require('assert');
+const bcryptjs = require('bcryptjs');
+const userModel = require('../src/models/user');
+const totp = require('../src/lib/totp');
+
+test('sends the same verification link until the account is verified', async () => {
+  const user = new userModel({ emailAddress: 'user@example.com' });
+  const { slug } = await user.generateVerification('127.0.0.1');
+
+  assert.deepStrictEqual(user.getVerification(), { slug });
+  assert.strictEqual(await user.checkVerification(slug, '127.0.0.1'), true);
+  assert.strictEqual(await user.checkVerification(slug, '10.0.0.1'), false);
+  assert.strictEqual(
+    await user.checkVerification('x' + slug, '127.0.0.1'),
+    false
+  );
+  assert.strictEqual(
+    await user.checkVerification(undefined, '127.0.0.1'),
+    false
+  );
+
+  user.markVerified();
+  assert.strictEqual(user.getVerification(), null);
+});
+
+test('derives different verification links for different users', async () => {
+  const first = new userModel({ emailAddress: 'first@example.com' });
+  const second = new userModel({ emailAddress: 'second@example.com' });
+  await first.generateVerification('127.0.0.1');
+  await second.generateVerification('127.0.0.1');
+
+  second.verificationSeed = first.verificationSeed;
+  assert.notStrictEqual(
+    first.getVerification().slug,
+    second.getVerification().slug
+  );
+});
+
+test('reissues legacy verification links for the signup IP address', async () => {
+  const user = new userModel({
+    emailAddress: 'legacy@example.com',
+    verificationSlugHash: await bcryptjs.hash('legacy-slug', 4),
+    verificationIpHash: await bcryptjs.hash('127.0.0.1', 4)
+  });
+  const { verificationIpHash } = user;
+
+  assert.strictEqual(user.getVerification(), null);
+  assert.strictEqual(
+    await user.checkVerification('legacy-slug', '127.0.0.1'),
+    true
+  );
+
+  const { slug } = user.reissueVerification();
+  assert.strictEqual(user.verificationIpHash, verificationIpHash);
+  assert.deepStrictEqual(user.getVerification(), { slug });
+  assert.strictEqual(await user.checkVerification(slug, '127.0.0.1'), true);
+  assert.strictEqual(await user.checkVerification(slug, '10.0.0.1'), false);
+  assert.strictEqual(
+    await user.checkVerification('legacy-slug', '127.0.0.1'),
+    false
+  );
+});
+
+test('enables two-factor authentication once a code is confirmed', () => {
+  const user = new userModel({ emailAddress: 'user@example.com' });
+  const { secret, uri } = user.beginTwoFactorEnrollment();
+
+  assert.ok(uri.includes(secret));
+  assert.strictEqual(user.confirmTwoFactorEnrollment('000000x'), false);
+  assert.strictEqual(user.twoFactorEnabled, false);
+
+  const step = totp.getTimeStep() - 1;
+  assert.strictEqual(
+    user.confirmTwoFactorEnrollment(totp.generateCode(secret, step)),
+    true
+  );
+  assert.strictEqual(user.twoFactorEnabled, true);
+  assert.strictEqual(user.twoFactorSecret, secret);
+  assert.strictEqual(user.twoFactorLastStep, step);
+});
+
+test('rejects two-factor codes which have already been used', () => {
+  const user = new userModel({ emailAddress: 'user@example.com' });
+  const { secret } = user.beginTwoFactorEnrollment();
+  const current = totp.getTimeStep();
+  user.confirmTwoFactorEnrollment(totp.generateCode(secret, current - 1));
+
+  const code = totp.generateCode(secret, current);
+  assert.strictEqual(user.checkTwoFactorCode(code), true);
+  assert.strictEqual(user.checkTwoFactorCode(code), false);
+
+  user.disableTwoFactor();
+  assert.strictEqual(
+    user.checkTwoFactorCode(totp.generateCode(secret, current + 1)),
+    false
+  );
+});
+
+test('accepts each recovery code once, however it is typed', async () => {
+  process.env.RECOVERY_CODE_COUNT = '3';
+  const user = new userModel({ emailAddress: 'user@example.com' });
+  const codes = await user.generateRecoveryCodes();
+
+  assert.strictEqual(codes.length, 3);
+  assert.strictEqual(user.recoveryCodesRemaining, 3);
+  codes.forEach(code => assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/));
+
+  assert.strictEqual(
+    await user.useRecoveryCode(` ${codes[1].toUpperCase().replace('-', ' ')} `),
+    true
+  );
+  assert.strictEqual(await user.useRecoveryCode(codes[1]), false);
+  assert.strictEqual(await user.useRecoveryCode('00000-00000'), false);
+  assert.strictEqual(await user.useRecoveryCode(undefined), false);
+  assert.strictEqual(user.recoveryCodesRemaining, 2);
+});
+
+test('replaces earlier recovery codes when new ones are generated', async () => {
+  process.env.RECOVERY_CODE_COUNT = '2';
+  const user = new userModel({ emailAddress: 'user@example.com' });
+  const [first] = await user.generateRecoveryCodes();
+  await user.generateRecoveryCodes();
+
+  assert.strictEqual(user.recoveryCodesRemaining, 2);
+  assert.strictEqual(await user.useRecoveryCode(first), false);
+});
+
+test('finds a login session by its ID and nonce', async () => {
+  const user = new userModel({ emailAddress: 'user@example.com' });
+  const first = user.generateLoginNonce({ label: 'Laptop' });
+  const second = user.generateLoginNonce({ label: 'Phone' });
+  const [laptop, phone] = user.sessions;
+
+  // Nonces are stored as keyed hashes, not as themselves.
+  assert.match(laptop.nonceHash, /^[0-9a-f]{64}$/);
+  assert.ok(!laptop.nonceHash.includes(first));
+
+  assert.strictEqual(await user.findLoginSession(laptop.id, first), laptop);
+  assert.strictEqual(await user.findLoginSession(phone.id, second), phone);
+  assert.strictEqual(await user.findLoginSession(laptop.id, second), null);
+  assert.strictEqual(await user.findLoginSession(laptop.id, undefined), null);
+
+  // Tokens issued before sessions were introduced carry no session ID.
+  assert.strictEqual(await user.findLoginSession(undefined, second), phone);
+  assert.strictEqual(await user.findLoginSession(undefined, 'nope'), null);
+});
+
+test('replaces the nonce of a rotated login session', async () => {
+  const user = new userModel({ emailAddress: 'user@example.com' });
+  const old = user.generateLoginNonce();
+  const [session] = user.sessions;
+  const nonce = user.rotateLoginNonce(session);
+
+  assert.strictEqual(await user.findLoginSession(session.id, old), null);
+  assert.strictEqual(await user.findLoginSession(session.id, nonce), session);
+  assert.strictEqual(user.removeLoginNonce(nonce), true);
+  assert.strictEqual(user.sessions.length, 0);
+});
+
+test('moves login nonces stored before sessions into sessions', async () => {
+  const user = new userModel({ emailAddress: 'user@example.com' });
+  user.loginNonces.push(
+    bcryptjs.hashSync('other', 4),
+    bcryptjs.hashSync('legacy', 4)
+  );
+
+  assert.strictEqual(await user.findLoginSession(undefined, 'nope'), null);
+  assert.strictEqual(user.loginNonces.length, 2);
+
+  const session = await user.findLoginSession(undefined, 'legacy');
+  assert.ok(session);
+  assert.strictEqual(session.label, 'Unknown device');
+  assert.strictEqual(user.loginNonces.length, 1);
+  assert.strictEqual(
+    await user.findLoginSession(session.id, 'legacy'),
+    session
+  );
+
+  user.removeAllLoginNonces();
+  assert.strictEqual(user.loginNonces.length, 0);
+  assert.strictEqual(user.sessions.length, 0);
+});
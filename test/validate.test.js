@@ -0,0 +1,35 @@
+/**
+ * @file test/validate.test.js
+ *
+ * Tests for our user input validation.
+ */
+
+// Imports
+const test = require('node:test');
+const assert = require('assert');
+const validate = require('../src/lib/validate');
+
+process.env.PASSWORD_MIN_SCORE = '3';
+
+test('accepts a strong new password', () => {
+  const password = 'xK9#mQ2$vL7!pR4z';
+  assert.strictEqual(validate.newPassword(password, password), null);
+});
+
+test('accepts new passwords up to the advertised length', () => {
+  const long = 'xK9#mQ2$vL7!pR4zé'.repeat(8).slice(0, 128);
+  const tooLong = `${long}x`;
+
+  for (const algorithm of ['bcrypt', 'scrypt']) {
+    process.env.PASSWORD_HASH_ALGORITHM = algorithm;
+    assert.strictEqual(validate.newPassword(long, long), null);
+    assert.strictEqual(validate.newPassword(tooLong, tooLong)[0], 'password');
+  }
+});
+
+test('still accepts long passwords when logging in', () => {
+  const password = 'xK9#mQ2$vL7!pR4z'.repeat(5);
+
+  process.env.PASSWORD_HASH_ALGORITHM = 'bcrypt';
+  assert.strictEqual(validate.password(password, password), null);
+});